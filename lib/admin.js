@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+const ADMIN_REQUEST_HEADER = 'x-admin-request';
+
+// HTTP basic auth for the admin page and API (any user name, ADMIN_PASSWORD as password)
+// Without a password configured the admin routes do not exist
+// Browsers attach the credentials to cross-site form posts too, so changes also need a header
+// that only the admin page's own fetch calls can set
+function requireAdmin(password) {
+    const expected = password ? crypto.createHash('sha256').update(password).digest() : null;
+
+    return (req, res, next) => {
+        if (!expected) {
+            res.status(404).send('Not found');
+            return;
+        }
+
+        const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+        const credentials = scheme === 'Basic' && encoded ? Buffer.from(encoded, 'base64').toString('utf8') : '';
+        const given = crypto.createHash('sha256').update(credentials.slice(credentials.indexOf(':') + 1)).digest();
+
+        // Hashing first keeps the comparison constant time whatever the length
+        if (credentials.includes(':') && crypto.timingSafeEqual(given, expected)) {
+            if (!['GET', 'HEAD'].includes(req.method) && req.headers[ADMIN_REQUEST_HEADER] !== '1') {
+                res.status(403).send('Admin request header missing');
+                return;
+            }
+            next();
+            return;
+        }
+
+        res.set('WWW-Authenticate', 'Basic realm="kalakobana admin", charset="UTF-8"');
+        res.status(401).send('Authentication required');
+    };
+}
+
+module.exports = {
+    requireAdmin
+};
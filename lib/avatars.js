@@ -0,0 +1,88 @@
+// Deterministic doodle avatars: the same seed always draws the same face
+// Served by /api/avatar/:seed so no nick ever leaves the server
+
+const crypto = require('crypto');
+
+const BACKGROUNDS = ['#fef08a', '#bfdbfe', '#bbf7d0', '#fecaca', '#e9d5ff', '#fed7aa', '#a5f3fc', '#fbcfe8'];
+const SKIN_TONES = ['#f9d9c0', '#f1c27d', '#e0ac69', '#c68642', '#8d5524', '#ffdbac'];
+const HAIR_COLORS = ['#2c3e50', '#4a3728', '#a0522d', '#d4a017', '#b22222', '#6b7280', '#111827'];
+const INK = '#2c3e50';
+
+// Hair shapes drawn over the top of a head centred at (50, 54) with radius 26
+const HAIR_STYLES = [
+    color => `<path d="M24 50 Q24 22 50 22 Q76 22 76 50 Q70 36 50 34 Q30 36 24 50 Z" fill="${color}" stroke="${INK}" stroke-width="2"/>`,
+    color => `<path d="M23 56 Q20 20 50 20 Q80 20 77 56 L72 48 Q66 30 50 32 Q34 30 28 48 Z" fill="${color}" stroke="${INK}" stroke-width="2"/>`,
+    color => `<path d="M26 44 L32 26 L40 36 L50 22 L60 36 L68 26 L74 44 Q62 34 50 34 Q38 34 26 44 Z" fill="${color}" stroke="${INK}" stroke-width="2"/>`,
+    color => `<path d="M24 52 Q22 24 50 22 Q78 24 76 52 L76 78 L68 78 L68 46 Q50 36 32 46 L32 78 L24 78 Z" fill="${color}" stroke="${INK}" stroke-width="2"/>`,
+    color => `<circle cx="50" cy="24" r="9" fill="${color}" stroke="${INK}" stroke-width="2"/><path d="M25 48 Q26 28 50 28 Q74 28 75 48 Q64 38 50 38 Q36 38 25 48 Z" fill="${color}" stroke="${INK}" stroke-width="2"/>`,
+    () => '' // Bald
+];
+
+const EYES = [
+    `<circle cx="41" cy="52" r="3" fill="${INK}"/><circle cx="59" cy="52" r="3" fill="${INK}"/>`,
+    `<path d="M37 52 Q41 48 45 52 M55 52 Q59 48 63 52" fill="none" stroke="${INK}" stroke-width="2.5" stroke-linecap="round"/>`,
+    `<circle cx="41" cy="52" r="5" fill="#fff" stroke="${INK}" stroke-width="2"/><circle cx="42" cy="53" r="2" fill="${INK}"/><circle cx="59" cy="52" r="5" fill="#fff" stroke="${INK}" stroke-width="2"/><circle cx="60" cy="53" r="2" fill="${INK}"/>`,
+    `<path d="M37 52 L45 52 M55 52 L63 52" stroke="${INK}" stroke-width="2.5" stroke-linecap="round"/>`
+];
+
+const MOUTHS = [
+    `<path d="M42 64 Q50 71 58 64" fill="none" stroke="${INK}" stroke-width="2.5" stroke-linecap="round"/>`,
+    `<path d="M42 63 Q50 74 58 63 Z" fill="#fff" stroke="${INK}" stroke-width="2" stroke-linejoin="round"/>`,
+    `<path d="M44 66 L56 66" stroke="${INK}" stroke-width="2.5" stroke-linecap="round"/>`,
+    `<ellipse cx="50" cy="66" rx="4" ry="5" fill="${INK}"/>`,
+    `<path d="M43 65 Q47 62 50 65 Q53 68 57 65" fill="none" stroke="${INK}" stroke-width="2.5" stroke-linecap="round"/>`
+];
+
+const EXTRAS = [
+    () => '',
+    () => '',
+    () => `<circle cx="41" cy="52" r="7" fill="none" stroke="${INK}" stroke-width="2"/><circle cx="59" cy="52" r="7" fill="none" stroke="${INK}" stroke-width="2"/><path d="M48 52 L52 52" stroke="${INK}" stroke-width="2"/>`,
+    () => '<circle cx="36" cy="61" r="4" fill="#f87171" opacity="0.4"/><circle cx="64" cy="61" r="4" fill="#f87171" opacity="0.4"/>',
+    color => `<path d="M40 72 Q50 82 60 72 Q56 78 50 78 Q44 78 40 72 Z" fill="${color}" stroke="${INK}" stroke-width="1.5"/>`
+];
+
+function pick(list, byte) {
+    return list[byte % list.length];
+}
+
+const MAX_CACHED_AVATARS = 1000;
+
+const cache = new Map(); // seed -> svg, least recently used first
+
+function renderAvatar(seed) {
+    const bytes = crypto.createHash('sha256').update(String(seed)).digest();
+    const hairColor = pick(HAIR_COLORS, bytes[3]);
+
+    return [
+        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">',
+        `<rect width="100" height="100" fill="${pick(BACKGROUNDS, bytes[0])}"/>`,
+        `<path d="M22 100 Q24 80 50 80 Q76 80 78 100 Z" fill="${pick(BACKGROUNDS, bytes[7] + 3)}" stroke="${INK}" stroke-width="2"/>`,
+        `<circle cx="50" cy="54" r="26" fill="${pick(SKIN_TONES, bytes[1])}" stroke="${INK}" stroke-width="2"/>`,
+        pick(HAIR_STYLES, bytes[2])(hairColor),
+        pick(EYES, bytes[4]),
+        pick(MOUTHS, bytes[5]),
+        pick(EXTRAS, bytes[6])(hairColor),
+        '</svg>'
+    ].join('');
+}
+
+// Rendered SVG for a seed, recently used seeds are kept in memory
+function getAvatar(seed) {
+    let svg = cache.get(seed);
+    if (svg) {
+        cache.delete(seed);
+    } else {
+        svg = renderAvatar(seed);
+    }
+
+    cache.set(seed, svg);
+    if (cache.size > MAX_CACHED_AVATARS) {
+        cache.delete(cache.keys().next().value);
+    }
+    return svg;
+}
+
+module.exports = {
+    renderAvatar,
+    getAvatar
+};
@@ -0,0 +1,82 @@
+// Bot opponents: difficulty profiles and per-round answer plans
+// The server plays the plans back through the same submit/stop paths as human players
+
+const dictionary = require('./dictionary');
+
+// knowledge: chance of coming up with a word for a category
+// thinkMs: pause before each answer, msPerChar: typing speed
+// stopChance: chance of pressing STOP after finishing (never before minTime)
+const DIFFICULTIES = {
+    easy: { knowledge: 0.4, thinkMs: [4000, 9000], msPerChar: 450, stopChance: 0.15 },
+    medium: { knowledge: 0.65, thinkMs: [2500, 6000], msPerChar: 300, stopChance: 0.35 },
+    hard: { knowledge: 0.9, thinkMs: [1000, 3500], msPerChar: 180, stopChance: 0.6 }
+};
+
+const BOT_NAMES = ['ნიკო', 'თამარი', 'ლაშა', 'ნინო', 'საბა', 'მარიამი', 'ლუკა', 'ელენე'];
+
+const TYPING_PING_MS = 700; // Clients hide the typing indicator after a second of silence
+
+function randomBetween([min, max]) {
+    return min + Math.random() * (max - min);
+}
+
+function pick(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+function shuffle(list) {
+    const result = [...list];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// A name nobody in the room uses yet
+function pickBotNick(takenNicks) {
+    const free = BOT_NAMES.filter(name => !takenNicks.includes(name));
+    return free.length > 0 ? pick(free) : `${pick(BOT_NAMES)} ${takenNicks.length + 1}`;
+}
+
+// Plan one round for a bot
+// categories: category key -> name, only the ones the bot should answer
+// pack: the room's language pack, bots only know words from the dictionaries
+// Returns { answers: [{ category, word, typing: [ms...], doneAt }], doneAt, stopAt }
+// with every time in ms from now; stopAt is null when the bot will not press STOP
+function planRound(difficulty, letter, categories, pack) {
+    const profile = DIFFICULTIES[difficulty] || DIFFICULTIES.medium;
+    const answers = [];
+    let at = 0;
+
+    shuffle(Object.entries(categories)).forEach(([category, name]) => {
+        at += randomBetween(profile.thinkMs);
+        if (Math.random() > profile.knowledge) return;
+
+        const words = dictionary.wordsFor(name, letter, pack);
+        if (words.length === 0) return;
+
+        const word = pick(words);
+        const doneAt = at + Array.from(word).length * profile.msPerChar;
+
+        const typing = [];
+        for (let ping = at; ping < doneAt; ping += TYPING_PING_MS) {
+            typing.push(ping);
+        }
+
+        answers.push({ category, word, typing, doneAt });
+        at = doneAt;
+    });
+
+    return {
+        answers,
+        doneAt: at,
+        stopAt: Math.random() < profile.stopChance ? at + randomBetween(profile.thinkMs) : null
+    };
+}
+
+module.exports = {
+    DIFFICULTIES,
+    pickBotNick,
+    planRound
+};
@@ -0,0 +1,187 @@
+// Daily challenge: one letter and category set per day and language, the same for everyone
+// Players play it as a timed solo round whenever they like, the day's answers are scored against each other
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { letterTier } = require('./letters');
+
+const DAILY_CATEGORY_COUNT = 6;
+const DAILY_ROUND_SECONDS = 120;
+const DAILY_GRACE_MS = 3000; // Answers this late still count, they were typed in time
+const MAX_DAILY_ENTRIES = 500; // Players per day and language
+const MAX_ATTEMPTS_PER_ADDRESS = 50; // Attempts per day and language from one network address, enough for a classroom or office
+const MAX_STORED_CHALLENGES = 90; // Day and language pairs kept, the oldest are dropped
+
+// UTC day as YYYY-MM-DD, the key of a challenge
+function dateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function isDateKey(text) {
+    if (typeof text !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(text)) return false;
+    const date = new Date(`${text}T00:00:00Z`);
+    return !isNaN(date) && dateKey(date) === text;
+}
+
+// Numbers in [0, 1) that only depend on the seed (mulberry32 seeded from a hash)
+function seededRandom(seed) {
+    let state = crypto.createHash('sha256').update(seed).digest().readUInt32LE(0);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// The day's letter and categories in a pack, hard letters are left out so the round stays fair
+function challengeFor(date, pack) {
+    const random = seededRandom(`${date}:${pack.id}`);
+
+    const fair = pack.alphabet.filter(letter => letterTier(pack, letter) !== 'hard');
+    const pool = fair.length > 0 ? fair : pack.alphabet;
+    const letter = pool[Math.floor(random() * pool.length)];
+
+    // Seeded shuffle, then back to the pack's order so the fields read naturally
+    const names = [...pack.defaultCategories];
+    for (let i = names.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [names[i], names[j]] = [names[j], names[i]];
+    }
+    const drawn = names.slice(0, DAILY_CATEGORY_COUNT);
+    const categories = {};
+    pack.defaultCategories
+        .filter(name => drawn.includes(name))
+        .forEach((name, index) => {
+            categories[`cat_${index}`] = name;
+        });
+
+    return {
+        date,
+        language: pack.id,
+        letter,
+        categories,
+        duration: DAILY_ROUND_SECONDS
+    };
+}
+
+// Whether a player's round is over: sent in, or out of time
+function isFinished(entry, now = Date.now()) {
+    return !!entry.finishedAt || now > entry.startedAt + DAILY_ROUND_SECONDS * 1000 + DAILY_GRACE_MS;
+}
+
+// Network addresses are only stored hashed
+function addressKey(address) {
+    return crypto.createHash('sha256').update(String(address)).digest('hex').slice(0, 16);
+}
+
+// Attempts per day and language, keyed by the player's session; saved through a persistence store
+// Sessions are the client's to make up, so a network address can't start attempts without end
+function createDailyChallenges(store) {
+    const days = new Map(); // "date:language" -> Map(sessionId -> entry), oldest day first
+
+    const dayKey = (date, language) => `${date}:${language}`;
+
+    function load() {
+        const saved = store.load();
+        if (!saved || !Array.isArray(saved.days)) return;
+
+        saved.days.forEach(day => {
+            days.set(day.key, new Map(day.entries.map(entry => [entry.sessionId, entry])));
+        });
+        console.log(`Loaded ${days.size} daily challenges`);
+    }
+
+    // Answers typed in between are only saved with the next start or finish
+    function save() {
+        try {
+            store.save({
+                days: Array.from(days.entries()).map(([key, entries]) => ({ key, entries: Array.from(entries.values()) }))
+            });
+        } catch (err) {
+            console.log(`Failed to save daily challenges: ${err.message}`);
+        }
+    }
+
+    function entriesOf(date, language) {
+        return days.get(dayKey(date, language)) || new Map();
+    }
+
+    function get(date, language, sessionId) {
+        return entriesOf(date, language).get(sessionId) || null;
+    }
+
+    // A player's only attempt of the day, started now or the one already running
+    // Returns { entry }, or { code } once the day is full or the address used up its attempts
+    function start(date, language, { sessionId, address, nick, avatarSeed }) {
+        const existing = get(date, language, sessionId);
+        if (existing) return { entry: existing };
+
+        const key = dayKey(date, language);
+        if (!days.has(key)) days.set(key, new Map());
+        const entries = days.get(key);
+        if (entries.size >= MAX_DAILY_ENTRIES) return { code: 'daily_full' };
+
+        const fromAddress = addressKey(address);
+        const attempts = Array.from(entries.values()).filter(entry => entry.addressKey === fromAddress).length;
+        if (attempts >= MAX_ATTEMPTS_PER_ADDRESS) return { code: 'daily_played' };
+
+        const entry = {
+            id: 'daily_' + uuidv4().substring(0, 8), // Public id, the session stays private
+            sessionId,
+            addressKey: fromAddress,
+            nick,
+            avatarSeed,
+            answers: {},
+            startedAt: Date.now(),
+            finishedAt: null
+        };
+        entries.set(sessionId, entry);
+
+        while (days.size > MAX_STORED_CHALLENGES) {
+            days.delete(days.keys().next().value);
+        }
+
+        save();
+        return { entry };
+    }
+
+    // Store the latest answers of a running attempt, final ends it
+    // Returns false once the attempt is over, the answers sent in time stand
+    function submit(date, language, sessionId, answers, final) {
+        const entry = get(date, language, sessionId);
+        if (!entry || isFinished(entry)) return false;
+
+        entry.answers = answers;
+        if (final) {
+            entry.finishedAt = Date.now();
+            save();
+        }
+        return true;
+    }
+
+    // Attempts that are over, the ones still being played don't count yet
+    function finished(date, language) {
+        const now = Date.now();
+        return Array.from(entriesOf(date, language).values()).filter(entry => isFinished(entry, now));
+    }
+
+    return {
+        load,
+        get,
+        start,
+        submit,
+        finished
+    };
+}
+
+module.exports = {
+    DAILY_ROUND_SECONDS,
+    DAILY_GRACE_MS,
+    dateKey,
+    isDateKey,
+    challengeFor,
+    isFinished,
+    createDailyChallenges
+};
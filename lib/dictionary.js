@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeText, transliterate } = require('./normalize');
+
+const DICTIONARY_DIR = path.join(__dirname, '..', 'data', 'dictionaries');
+
+// Possible verdicts for a single answer
+const ANSWER_STATUS = {
+    VERIFIED: 'verified', // Found in the category's word list
+    UNKNOWN: 'unknown',   // Plausible word, but not in any list we have
+    REJECTED: 'rejected'  // Wrong letter or obviously not a word
+};
+
+// Maps category name -> Set of normalized words
+const dictionaries = new Map();
+
+// Normalize a word for dictionary lookups
+function normalizeWord(word) {
+    return String(word || '')
+        .trim()
+        .toLowerCase()
+        .replace(/\s+/g, ' ');
+}
+
+// Load every *.json word list from the dictionary folder
+// Each file looks like { "category": "ქალაქი", "words": [...] }
+function loadDictionaries(dir = DICTIONARY_DIR) {
+    dictionaries.clear();
+
+    if (!fs.existsSync(dir)) {
+        console.log(`Dictionary folder ${dir} not found, answers will not be verified`);
+        return dictionaries;
+    }
+
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            try {
+                const { category, words } = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                if (!category || !Array.isArray(words)) {
+                    console.log(`Skipping malformed dictionary ${file}`);
+                    return;
+                }
+
+                const set = dictionaries.get(category) || new Set();
+                words.forEach(word => set.add(normalizeWord(word)));
+                dictionaries.set(category, set);
+            } catch (err) {
+                console.log(`Failed to load dictionary ${file}: ${err.message}`);
+            }
+        });
+
+    console.log(`Loaded ${dictionaries.size} dictionaries`);
+    return dictionaries;
+}
+
+function hasDictionary(category) {
+    return dictionaries.has(category);
+}
+
+// Cheap sanity checks that catch keyboard mashing like "ქქქ"
+function looksLikeWord(word, pack) {
+    if (word.length < 2) return false;
+    if (/(.)\1\1/u.test(word)) return false;
+
+    const letters = Array.from(word.replace(/[\s'-]/g, ''));
+    if (letters.length === 0) return false;
+
+    // Only the pack's letters (plus spaces, hyphens and apostrophes) are accepted
+    if (!letters.every(ch => pack.wordLetters.has(ch))) return false;
+
+    return pack.vowels.length === 0 || letters.some(ch => pack.vowels.includes(ch));
+}
+
+// Classify an answer for the given category name and round letter
+// pack: the room's language pack, its case and letter rules apply to both sides of the check
+// Answers typed in Latin are checked in the pack's script, so "tbilisi" passes for თ
+function checkAnswer(category, answer, letter, pack) {
+    const word = transliterate(normalizeText(answer, pack), pack);
+
+    if (word.length === 0 || !word.startsWith(normalizeText(letter, pack))) {
+        return ANSWER_STATUS.REJECTED;
+    }
+
+    const words = dictionaries.get(category);
+    if (words && words.has(word)) {
+        return ANSWER_STATUS.VERIFIED;
+    }
+
+    return looksLikeWord(word, pack) ? ANSWER_STATUS.UNKNOWN : ANSWER_STATUS.REJECTED;
+}
+
+// Every known word in a category that starts with the letter (used by bots)
+function wordsFor(category, letter, pack) {
+    const words = dictionaries.get(category);
+    if (!words) return [];
+
+    const prefix = normalizeText(letter, pack);
+    return Array.from(words).filter(word => normalizeText(word, pack).startsWith(prefix));
+}
+
+module.exports = {
+    ANSWER_STATUS,
+    loadDictionaries,
+    hasDictionary,
+    checkAnswer,
+    wordsFor,
+    normalizeWord
+};
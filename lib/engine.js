@@ -0,0 +1,175 @@
+// Room lifecycle: lobby -> sticks -> playing -> stopped -> results -> (sticks | ended) -> lobby
+// Which phase may follow which, which socket events each phase accepts,
+// and the timers a room runs, so leaving a phase cancels everything it scheduled
+
+const PHASES = ['lobby', 'sticks', 'playing', 'stopped', 'results', 'ended'];
+
+// Phases a room may move to from each phase; the host can return to the lobby from anywhere in a game
+const TRANSITIONS = {
+    lobby: ['sticks'],
+    sticks: ['playing', 'lobby'],
+    playing: ['stopped', 'results', 'lobby'], // results directly when the hard time limit runs out
+    stopped: ['results', 'lobby'],
+    results: ['sticks', 'ended', 'lobby'],
+    ended: ['lobby']
+};
+
+// Phases each game event is accepted in, events not listed here work in every phase
+const EVENT_PHASES = {
+    'settings:update': ['lobby'],
+    'preset:import': ['lobby'],
+    'player:ready': ['lobby'],
+    'team:assign': ['lobby'],
+    'team:balance': ['lobby'],
+    'bot:add': ['lobby'],
+    'game:start': ['lobby'],
+    'sticks:draw': ['sticks'],
+    'letter:pick': ['sticks'],
+    'letter:vote': ['sticks'],
+    'player:typing': ['playing'],
+    'answers:submit': ['playing', 'stopped'], // Last answers still count during the STOP countdown
+    'round:stop': ['playing'],
+    'answer:invalidate': ['results'],
+    'answer:challenge': ['results'],
+    'answer:vote': ['results'],
+    'answer:split': ['results'],
+    'answer:react': ['results'],
+    'review:navigate': ['results'],
+    'game:nextRound': ['results'],
+    'game:returnToLobby': ['sticks', 'playing', 'stopped', 'results', 'ended']
+};
+
+// Phases each named room timer lives through, it is cancelled as soon as the room leaves them
+const TIMER_PHASES = {
+    autoStart: ['lobby'], // Starts a quick play lobby its host left waiting
+    letterVote: ['sticks'], // Closes the letter vote
+    autoDraw: ['sticks'], // Draws the letter in a game that started by itself
+    reveal: ['sticks'], // Sticks animation, then the round starts
+    stopEnable: ['playing'], // Unlocks STOP after the minimum time
+    roundClock: ['playing'], // Ticks once a second
+    bots: ['playing', 'stopped'], // Bots keep typing through the STOP countdown
+    stopCountdown: ['stopped'], // Scores the round once the countdown is over
+    votes: ['results'], // Closes challenge votes nobody finished
+    lobbyReset: ['ended'] // Sends an ended game back to the lobby
+};
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+function acceptsEvent(phase, event) {
+    return !EVENT_PHASES[event] || EVENT_PHASES[event].includes(phase);
+}
+
+// Named timers per room; several timers can share a name (one per bot action)
+function createTimers() {
+    const rooms = new Map(); // roomCode -> Map(name -> Set of { handle, repeat })
+
+    function timersOf(roomCode, name) {
+        if (!rooms.has(roomCode)) rooms.set(roomCode, new Map());
+        const named = rooms.get(roomCode);
+        if (!named.has(name)) named.set(name, new Set());
+        return named.get(name);
+    }
+
+    function forget(roomCode, name, timer) {
+        const named = rooms.get(roomCode);
+        const timers = named && named.get(name);
+        if (!timers) return;
+
+        timers.delete(timer);
+        if (timers.size === 0) named.delete(name);
+        if (named.size === 0) rooms.delete(roomCode);
+    }
+
+    // A failing callback is logged, it must not take the whole server down
+    function run(roomCode, name, callback) {
+        try {
+            callback();
+        } catch (err) {
+            console.log(`Error in ${name} timer of room ${roomCode}:`, err);
+        }
+    }
+
+    // Add a one-off timer under a name, next to the ones already there
+    function add(roomCode, name, delay, callback) {
+        const timer = { repeat: false };
+        timer.handle = setTimeout(() => {
+            forget(roomCode, name, timer);
+            run(roomCode, name, callback);
+        }, delay);
+        timersOf(roomCode, name).add(timer);
+    }
+
+    // Replace whatever runs under the name with a single one-off timer
+    function set(roomCode, name, delay, callback) {
+        clear(roomCode, name);
+        add(roomCode, name, delay, callback);
+    }
+
+    // Replace whatever runs under the name with a repeating timer
+    function every(roomCode, name, interval, callback) {
+        clear(roomCode, name);
+        const timer = { repeat: true };
+        timer.handle = setInterval(() => run(roomCode, name, callback), interval);
+        timersOf(roomCode, name).add(timer);
+    }
+
+    function has(roomCode, name) {
+        const named = rooms.get(roomCode);
+        return !!named && named.has(name);
+    }
+
+    function cancel(timer) {
+        if (timer.repeat) clearInterval(timer.handle);
+        else clearTimeout(timer.handle);
+    }
+
+    function clear(roomCode, name) {
+        const named = rooms.get(roomCode);
+        if (!named || !named.has(name)) return;
+
+        named.get(name).forEach(cancel);
+        named.delete(name);
+        if (named.size === 0) rooms.delete(roomCode);
+    }
+
+    // Everything the room runs, e.g. when it is closed
+    function clearRoom(roomCode) {
+        const named = rooms.get(roomCode);
+        if (!named) return;
+
+        named.forEach(timers => timers.forEach(cancel));
+        rooms.delete(roomCode);
+    }
+
+    // Cancel the timers that do not live in the room's new phase
+    function enterPhase(roomCode, phase) {
+        const named = rooms.get(roomCode);
+        if (!named) return;
+
+        Array.from(named.keys())
+            .filter(name => TIMER_PHASES[name] && !TIMER_PHASES[name].includes(phase))
+            .forEach(name => clear(roomCode, name));
+    }
+
+    return {
+        add,
+        set,
+        every,
+        has,
+        clear,
+        clearRoom,
+        enterPhase
+    };
+}
+
+module.exports = {
+    PHASES,
+    TRANSITIONS,
+    EVENT_PHASES,
+    TIMER_PHASES,
+    canTransition,
+    acceptsEvent,
+    createTimers
+};
@@ -0,0 +1,167 @@
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_STORED_GAMES = 500; // Oldest games are dropped past this
+
+const CSV_COLUMNS = [
+    'game_id', 'round', 'letter', 'stopped_by', 'player', 'category',
+    'answer', 'status', 'points', 'rule', 'valid', 'invalidated_by', 'grouped_with',
+    'late'
+];
+
+// Quote a CSV field when it contains separators, quotes or newlines
+// Text that a spreadsheet would run as a formula (=, +, -, @) gets a leading ' first, numbers stay numbers
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per answer: game, round, player, category
+function toCSV(game) {
+    const rows = [CSV_COLUMNS.join(',')];
+    const nicks = new Map(game.players.map(player => [player.id, player.nick]));
+    const nickOf = id => nicks.get(id) || id;
+
+    game.rounds.forEach(round => {
+        round.players.forEach(player => {
+            Object.entries(round.categories).forEach(([cat, name]) => {
+                const score = (player.categoryScores || {})[cat] || {};
+                rows.push([
+                    game.id,
+                    round.round,
+                    round.letter,
+                    round.stoppedBy || '',
+                    player.nick,
+                    name,
+                    score.answer || '',
+                    score.status || '',
+                    score.invalidatedBy ? 0 : (score.points || 0),
+                    score.rule || '',
+                    score.isValid && !score.invalidatedBy ? 1 : 0,
+                    score.invalidatedBy ? nickOf(score.invalidatedBy) : '',
+                    (score.groupedWith || []).map(nickOf).join(' '),
+                    score.late ? 1 : 0
+                ].map(csvField).join(','));
+            });
+        });
+    });
+
+    // BOM so spreadsheet apps read the Georgian text as UTF-8
+    return '\uFEFF' + rows.join('\r\n') + '\r\n';
+}
+
+// Per-game round logs, saved through a persistence store
+function createGameHistory(store) {
+    const games = new Map(); // gameId -> game log, oldest first
+
+    function load() {
+        const saved = store.load();
+        if (!saved || !Array.isArray(saved.games)) return;
+
+        saved.games.forEach(game => games.set(game.id, game));
+        console.log(`Loaded ${games.size} game logs`);
+    }
+
+    function save() {
+        try {
+            store.save({ games: Array.from(games.values()) });
+        } catch (err) {
+            console.log(`Failed to save game history: ${err.message}`);
+        }
+    }
+
+    // Open a new log for a room that just started a game, returns its id
+    function startGame(room) {
+        const game = {
+            id: uuidv4().substring(0, 8),
+            roomCode: room.code,
+            startedAt: Date.now(),
+            endedAt: null,
+            settings: { ...room.settings },
+            players: Array.from(room.players.values()).map(player => ({
+                id: player.id,
+                nick: player.nick,
+                avatarSeed: player.avatarSeed
+            })),
+            rounds: [],
+            standings: null,
+            teamStandings: null
+        };
+
+        games.set(game.id, game);
+        while (games.size > MAX_STORED_GAMES) {
+            games.delete(games.keys().next().value);
+        }
+
+        save();
+        return game.id;
+    }
+
+    // Store a reviewed round, including the host's or the vote's invalidations
+    function recordRound(gameId, room) {
+        const game = games.get(gameId);
+        if (!game) return;
+
+        const { gameState } = room;
+        const players = Array.from(room.players.values()).filter(player => player.categoryScores);
+
+        players.forEach(player => {
+            if (!game.players.some(p => p.id === player.id)) {
+                game.players.push({ id: player.id, nick: player.nick, avatarSeed: player.avatarSeed });
+            }
+        });
+
+        game.rounds.push({
+            round: gameState.currentRound,
+            letter: gameState.currentLetter,
+            categories: { ...gameState.activeCategories },
+            stoppedBy: gameState.stoppedBy,
+            players: players.map(player => ({
+                id: player.id,
+                nick: player.nick,
+                teamId: player.teamId,
+                answers: { ...player.answers },
+                categoryScores: JSON.parse(JSON.stringify(player.categoryScores)),
+                speedBonus: player.speedBonus || 0,
+                roundScore: player.roundScore,
+                totalScore: player.totalScore
+            })),
+            invalidations: players.flatMap(player => Object.entries(player.categoryScores)
+                .filter(([, score]) => score.invalidatedBy)
+                .map(([category, score]) => ({
+                    playerId: player.id,
+                    category,
+                    invalidatedBy: score.invalidatedBy
+                })))
+        });
+
+        save();
+    }
+
+    function finishGame(gameId, standings, teamStandings = null) {
+        const game = games.get(gameId);
+        if (!game) return;
+
+        game.endedAt = Date.now();
+        game.standings = standings;
+        game.teamStandings = teamStandings;
+        save();
+    }
+
+    function get(gameId) {
+        return games.get(gameId) || null;
+    }
+
+    return {
+        load,
+        startGame,
+        recordRound,
+        finishGame,
+        get
+    };
+}
+
+module.exports = {
+    createGameHistory,
+    toCSV
+};
@@ -0,0 +1,108 @@
+// Language packs: alphabet, letter tiers, categories and normalization rules per language
+// Every data/languages/<id>.json is one pack, rooms pick theirs with settings.language
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeText } = require('./normalize');
+
+const LANGUAGE_DIR = path.join(__dirname, '..', 'data', 'languages');
+const DEFAULT_LANGUAGE = 'ka';
+
+// Maps pack id -> pack
+const packs = new Map();
+
+function isLetterList(value, min = 0) {
+    return Array.isArray(value) && value.length >= min &&
+        value.every(item => typeof item === 'string' && item.length > 0);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Fill in the optional fields and precompute what answer checks need
+// A pack file looks like data/languages/ka.json; alphabet and defaultCategories are required
+function compilePack(id, raw) {
+    const pack = {
+        id,
+        name: raw.name || id,
+        alphabet: raw.alphabet, // Letters a round can be played with
+        innerLetters: raw.innerLetters || [], // Letters words may contain but never start with
+        vowels: raw.vowels || [],
+        letterTiers: { hard: [], medium: [], ...raw.letterTiers },
+        defaultCategories: raw.defaultCategories,
+        bonusCategories: raw.bonusCategories || [],
+        normalization: { lowercase: true, stripDiacritics: false, replace: {}, ...raw.normalization },
+        transliteration: raw.transliteration || {}, // Latin spelling -> pack script, for answer checks and duplicate matching
+        keyboard: raw.keyboard && raw.keyboard.layout // Phonetic layout: Latin key -> letter, plus on-screen keyboard rows
+            ? { layout: raw.keyboard.layout, rows: raw.keyboard.rows || [] }
+            : null,
+        suffixes: raw.suffixes || [] // Case endings stripped for duplicate matching
+    };
+
+    const sequences = Object.keys(pack.transliteration).sort((a, b) => b.length - a.length);
+    pack.transliterationPattern = sequences.length > 0
+        ? new RegExp(sequences.map(escapeRegExp).join('|'), 'g')
+        : null;
+
+    // Normalized letters a real word is made of, spaces and hyphens aside
+    pack.wordLetters = new Set([...pack.alphabet, ...pack.innerLetters].map(letter => normalizeText(letter, pack)));
+    pack.vowels = pack.vowels.map(letter => normalizeText(letter, pack));
+
+    return pack;
+}
+
+// Load every *.json pack from the language folder
+// The default pack has to be there, rooms fall back to it
+function loadLanguagePacks(dir = LANGUAGE_DIR) {
+    packs.clear();
+
+    if (fs.existsSync(dir)) {
+        fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => {
+                try {
+                    const raw = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                    if (!isLetterList(raw.alphabet, 1) || !isLetterList(raw.defaultCategories, 1) ||
+                        (raw.bonusCategories !== undefined && !isLetterList(raw.bonusCategories))) {
+                        console.log(`Skipping malformed language pack ${file}`);
+                        return;
+                    }
+
+                    const id = path.basename(file, '.json');
+                    packs.set(id, compilePack(id, raw));
+                } catch (err) {
+                    console.log(`Failed to load language pack ${file}: ${err.message}`);
+                }
+            });
+    }
+
+    if (!packs.has(DEFAULT_LANGUAGE)) {
+        throw new Error(`Default language pack ${DEFAULT_LANGUAGE} not found in ${dir}`);
+    }
+
+    console.log(`Loaded ${packs.size} language packs`);
+    return packs;
+}
+
+function hasPack(id) {
+    return packs.has(id);
+}
+
+// The pack for a room's settings.language, unknown ids get the default
+function getPack(id) {
+    return packs.get(id) || packs.get(DEFAULT_LANGUAGE);
+}
+
+// Packs the host can choose from
+function listPacks() {
+    return Array.from(packs.values()).map(pack => ({ id: pack.id, name: pack.name }));
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    loadLanguagePacks,
+    hasPack,
+    getPack,
+    listPacks
+};
@@ -0,0 +1,73 @@
+// Round letter selection: difficulty tiers and weighted draws over a language pack's alphabet
+
+// Tier of a letter in its pack: letters few words start with are hard, everything unlisted is easy
+function letterTier(pack, letter) {
+    if (pack.letterTiers.hard.includes(letter)) return 'hard';
+    if (pack.letterTiers.medium.includes(letter)) return 'medium';
+    return 'easy';
+}
+
+// Draw weight of each tier per weighting setting, 0 = never drawn
+const WEIGHTINGS = {
+    uniform: { easy: 1, medium: 1, hard: 1 },
+    easy: { easy: 1, medium: 0, hard: 0 },
+    normal: { easy: 6, medium: 3, hard: 1 },
+    hard: { easy: 1, medium: 3, hard: 6 }
+};
+
+const LETTER_MODES = ['random', 'host', 'vote'];
+
+// Letters a room may play at all
+function allowedLetters(pack, settings) {
+    const excluded = settings.excludedLetters || [];
+    const allowed = pack.alphabet.filter(letter => !excluded.includes(letter));
+    return allowed.length > 0 ? allowed : pack.alphabet;
+}
+
+function weightedPick(pack, letters, weighting) {
+    const weights = letters.map(letter => weighting[letterTier(pack, letter)]);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    // Every candidate weighted 0 (only zero-weight letters allowed): fall back to uniform
+    if (total === 0) return letters[Math.floor(Math.random() * letters.length)];
+
+    let roll = Math.random() * total;
+    for (let i = 0; i < letters.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) return letters[i];
+    }
+    return letters[letters.length - 1];
+}
+
+// Draw up to count different letters that were not played yet this game
+// Starts over with the full pool once every allowed letter has been used
+function drawLetters(pack, settings, usedLetters, count = 1) {
+    const weighting = WEIGHTINGS[settings.letterWeighting] || WEIGHTINGS.uniform;
+    const allowed = allowedLetters(pack, settings);
+
+    // Letters with weight 0 are never drawn, unless they are all the room has left
+    const playable = allowed.filter(letter => weighting[letterTier(pack, letter)] > 0);
+    const candidates = playable.length > 0 ? playable : allowed;
+
+    let pool = candidates.filter(letter => !usedLetters.has(letter));
+    if (pool.length === 0) {
+        usedLetters.clear();
+        pool = candidates;
+    }
+
+    const drawn = [];
+    while (drawn.length < count && pool.length > 0) {
+        const letter = weightedPick(pack, pool, weighting);
+        drawn.push(letter);
+        pool = pool.filter(l => l !== letter);
+    }
+    return drawn;
+}
+
+module.exports = {
+    WEIGHTINGS,
+    LETTER_MODES,
+    letterTier,
+    allowedLetters,
+    drawLetters
+};
@@ -0,0 +1,110 @@
+// Quick play: players waiting for a game without a room code
+// Waiting players go into an open public lobby that suits them, or get a new room together once enough of them wait
+
+// A player's wishes: rounds and bonus are null when they don't mind
+function createPreferences({ rounds = null, bonus = null } = {}) {
+    return { rounds, bonus };
+}
+
+// Whether a lobby's settings give the player what they asked for
+function suitsSettings(preferences, settings) {
+    return (preferences.rounds === null || preferences.rounds === settings.maxRounds) &&
+        (preferences.bonus === null || preferences.bonus === settings.useBonus);
+}
+
+// Wishes two players can share, or null when they contradict each other
+function combinePreferences(a, b) {
+    if (a.rounds !== null && b.rounds !== null && a.rounds !== b.rounds) return null;
+    if (a.bonus !== null && b.bonus !== null && a.bonus !== b.bonus) return null;
+
+    return {
+        rounds: a.rounds !== null ? a.rounds : b.rounds,
+        bonus: a.bonus !== null ? a.bonus : b.bonus
+    };
+}
+
+// Room settings for a group's shared wishes, on top of the defaults
+function settingsFor(preferences) {
+    const settings = {};
+    if (preferences.rounds !== null) settings.maxRounds = preferences.rounds;
+    if (preferences.bonus !== null) settings.useBonus = preferences.bonus;
+    return settings;
+}
+
+// Waiting players by id (their socket), oldest first
+function createQueue() {
+    const entries = new Map(); // id -> { id, preferences, joinedAt, ...whatever the server keeps }
+
+    // Joining again just updates the wishes, the place in line is kept
+    function add(entry) {
+        const existing = entries.get(entry.id);
+        entries.set(entry.id, {
+            ...entry,
+            preferences: createPreferences(entry.preferences),
+            joinedAt: existing ? existing.joinedAt : Date.now()
+        });
+    }
+
+    function remove(id) {
+        return entries.delete(id);
+    }
+
+    function has(id) {
+        return entries.has(id);
+    }
+
+    function list() {
+        return Array.from(entries.values());
+    }
+
+    // 1-based place in line
+    function position(id) {
+        return list().findIndex(entry => entry.id === id) + 1;
+    }
+
+    // Take the oldest waiting player and everyone who can play with them, up to maxSize
+    // Returns { entries, preferences } once at least minSize agree, otherwise nothing leaves the queue
+    function takeGroup(minSize, maxSize) {
+        const waiting = list();
+
+        for (const first of waiting) {
+            const group = [first];
+            let preferences = first.preferences;
+
+            for (const other of waiting) {
+                if (group.length >= maxSize) break;
+                if (other === first) continue;
+
+                const combined = combinePreferences(preferences, other.preferences);
+                if (!combined) continue;
+
+                group.push(other);
+                preferences = combined;
+            }
+
+            if (group.length >= minSize) {
+                group.forEach(entry => entries.delete(entry.id));
+                return { entries: group, preferences };
+            }
+        }
+
+        return null;
+    }
+
+    return {
+        add,
+        remove,
+        has,
+        list,
+        position,
+        takeGroup
+    };
+}
+
+module.exports = {
+    createPreferences,
+    suitsSettings,
+    combinePreferences,
+    settingsFor,
+    createQueue
+};
@@ -0,0 +1,47 @@
+// Prometheus-style counters for /metrics
+
+function createMetrics() {
+    let roundsPlayed = 0;
+    let roundSecondsTotal = 0;
+
+    // A round was scored; duration from round start to scoring
+    function recordRound(durationMs) {
+        roundsPlayed++;
+        roundSecondsTotal += durationMs / 1000;
+    }
+
+    // gauges: values read at scrape time, e.g. { activeRooms: 3 }
+    function render(gauges) {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} ${type}`);
+            samples.forEach(([labels, value]) => lines.push(`${name}${labels} ${value}`));
+        };
+
+        metric('kalakobana_active_rooms', 'gauge', 'Rooms currently open', [['', gauges.activeRooms]]);
+        metric('kalakobana_connected_sockets', 'gauge', 'Open socket connections', [['', gauges.connectedSockets]]);
+        metric('kalakobana_players', 'gauge', 'Players seated in rooms', [
+            ['{state="connected"}', gauges.connectedPlayers],
+            ['{state="disconnected"}', gauges.disconnectedPlayers],
+            ['{state="bot"}', gauges.bots]
+        ]);
+        metric('kalakobana_spectators', 'gauge', 'Spectators watching rooms', [['', gauges.spectators]]);
+        metric('kalakobana_rounds_played_total', 'counter', 'Rounds scored since the server started', [['', roundsPlayed]]);
+        metric('kalakobana_round_duration_seconds_sum', 'counter', 'Total duration of scored rounds', [['', roundSecondsTotal.toFixed(3)]]);
+        metric('kalakobana_round_duration_seconds_avg', 'gauge', 'Average duration of scored rounds', [
+            ['', roundsPlayed > 0 ? (roundSecondsTotal / roundsPlayed).toFixed(3) : 0]
+        ]);
+
+        return lines.join('\n') + '\n';
+    }
+
+    return {
+        recordRound,
+        render
+    };
+}
+
+module.exports = {
+    createMetrics
+};
@@ -0,0 +1,129 @@
+// Answer normalization used when looking for duplicate answers
+// Case, transliteration and case endings come from the room's language pack (see lib/languages.js)
+
+const MIN_STEM_LENGTH = 3;
+
+// How close two normalized answers have to be to count as the same
+const MATCHING_MODES = {
+    exact: { transliterate: false, stem: false, distance: () => 0 },
+    fuzzy: { transliterate: true, stem: true, distance: len => (len >= 4 ? 1 : 0) },
+    loose: { transliterate: true, stem: true, distance: len => (len >= 6 ? 2 : len >= 4 ? 1 : 0) }
+};
+
+// Trim, collapse whitespace and apply the pack's case and letter rules
+function normalizeText(text, pack) {
+    const rules = (pack && pack.normalization) || { lowercase: true };
+    let word = String(text || '').trim().replace(/\s+/g, ' ');
+
+    if (rules.lowercase) word = word.toLowerCase();
+    if (rules.stripDiacritics) word = word.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+    if (rules.replace) word = Array.from(word, ch => rules.replace[ch] || ch).join('');
+
+    return word;
+}
+
+// Latin spelling -> the pack's own script, longest sequences first so "sh" wins over "s"
+// Packs without a transliteration table leave the text alone
+function transliterate(text, pack) {
+    const word = String(text || '');
+    if (!pack || !pack.transliterationPattern) return word;
+    return word.toLowerCase().replace(pack.transliterationPattern, match => pack.transliteration[match]);
+}
+
+// Text typed on a Latin keyboard as if it had the pack's phonetic layout, e.g. "Tbilisi" -> "თბილისი"
+// Keys are case-sensitive (T is თ, t is ტ), capitals without a letter of their own count as the plain key
+// This is what players type, transliterate() above is the looser spelling answers are matched by
+function applyKeyboardLayout(text, pack) {
+    const word = String(text || '');
+    const layout = pack && pack.keyboard && pack.keyboard.layout;
+    if (!layout) return word;
+    return Array.from(word, ch => layout[ch] || layout[ch.toLowerCase()] || ch).join('');
+}
+
+// Strip a single case ending, keeping a reasonably long stem
+function stem(word, pack) {
+    for (const suffix of (pack && pack.suffixes) || []) {
+        if (word.endsWith(suffix) && word.length - suffix.length >= MIN_STEM_LENGTH) {
+            return word.slice(0, -suffix.length);
+        }
+    }
+    return word;
+}
+
+function normalizeAnswer(answer, mode = 'fuzzy', pack = null) {
+    const config = MATCHING_MODES[mode] || MATCHING_MODES.fuzzy;
+    let word = normalizeText(answer, pack);
+
+    if (config.transliterate) word = transliterate(word, pack);
+    if (config.stem) word = stem(word, pack);
+
+    return word;
+}
+
+// Levenshtein distance on code points
+function editDistance(a, b) {
+    const s = Array.from(a);
+    const t = Array.from(b);
+    let prev = t.map((_, j) => j + 1);
+    prev.unshift(0);
+
+    for (let i = 1; i <= s.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= t.length; j++) {
+            const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+            row.push(Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost));
+        }
+        prev = row;
+    }
+    return prev[t.length];
+}
+
+function areSimilar(a, b, mode = 'fuzzy') {
+    if (a === b) return true;
+
+    const config = MATCHING_MODES[mode] || MATCHING_MODES.fuzzy;
+    const shortest = Math.min(Array.from(a).length, Array.from(b).length);
+    return editDistance(a, b) <= config.distance(shortest);
+}
+
+// Group answers that should count as duplicates of each other
+// entries: [{ id, answer }] -> array of groups, each an array of ids
+function groupAnswers(entries, mode = 'fuzzy', pack = null) {
+    const normalized = entries.map(entry => ({
+        id: entry.id,
+        word: normalizeAnswer(entry.answer, mode, pack)
+    }));
+
+    // Union-find, so A~B and B~C end up in one group
+    const parent = normalized.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    for (let i = 0; i < normalized.length; i++) {
+        for (let j = i + 1; j < normalized.length; j++) {
+            if (areSimilar(normalized[i].word, normalized[j].word, mode)) {
+                parent[find(j)] = find(i);
+            }
+        }
+    }
+
+    const groups = new Map();
+    normalized.forEach((entry, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(entry.id);
+    });
+
+    return Array.from(groups.values());
+}
+
+module.exports = {
+    MATCHING_MODES,
+    normalizeText,
+    transliterate,
+    applyKeyboardLayout,
+    stem,
+    normalizeAnswer,
+    editDistance,
+    areSimilar,
+    groupAnswers
+};
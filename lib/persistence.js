@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+// Snapshot stores. Every backend exposes the same two methods:
+//   load() -> last saved snapshot object, or null
+//   save(snapshot) -> persist a plain JSON-serializable object
+
+// Keeps the snapshot in memory only (nothing survives a restart)
+function createMemoryStore() {
+    let snapshot = null;
+
+    return {
+        type: 'memory',
+        load() {
+            return snapshot;
+        },
+        save(data) {
+            snapshot = JSON.parse(JSON.stringify(data));
+        }
+    };
+}
+
+// Writes the snapshot to a JSON file on disk
+function createFileStore(filePath) {
+    let lastWritten = null;
+
+    return {
+        type: 'file',
+        load() {
+            if (!fs.existsSync(filePath)) return null;
+
+            try {
+                lastWritten = fs.readFileSync(filePath, 'utf8');
+                return JSON.parse(lastWritten);
+            } catch (err) {
+                console.log(`Failed to read state file ${filePath}: ${err.message}`);
+                return null;
+            }
+        },
+        save(data) {
+            const json = JSON.stringify(data);
+            if (json === lastWritten) return; // Nothing changed since the last write
+
+            // Write to a temp file first so a crash never leaves a half-written snapshot
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, json);
+            fs.renameSync(tmpPath, filePath);
+            lastWritten = json;
+        }
+    };
+}
+
+const BACKENDS = {
+    memory: () => createMemoryStore(),
+    file: options => createFileStore(options.file)
+};
+
+// Pick a backend by name, e.g. createStore({ type: 'file', file: 'storage/state.json' })
+function createStore(options = {}) {
+    const type = options.type || 'file';
+    const factory = BACKENDS[type];
+
+    if (!factory) {
+        throw new Error(`Unknown persistence backend "${type}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+
+    return factory(options);
+}
+
+module.exports = {
+    createStore,
+    createMemoryStore,
+    createFileStore
+};
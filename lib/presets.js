@@ -0,0 +1,148 @@
+// Category presets: named category lists saved by hosts and shared between rooms by short code
+// A preset can hold a bigger pool than one round plays, rooms with rotation draw from it every round
+
+const MAX_ROUND_CATEGORIES = 15; // Categories a single round can have (the bonus one aside)
+const MAX_POOL_CATEGORIES = 40; // Categories a room or preset can keep for rotation
+const MAX_STORED_PRESETS = 1000; // The least used presets are dropped past this
+const CODE_LENGTH = 6;
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Categories one round plays: the whole list, or count of them when rotating
+// Categories the previous round played are drawn only when the pool runs short
+function rotateCategories(pool, count, previous = []) {
+    if (!count || count >= pool.length) return [...pool];
+
+    const shuffle = list => list
+        .map(name => ({ name, order: Math.random() }))
+        .sort((a, b) => a.order - b.order)
+        .map(entry => entry.name);
+
+    const fresh = shuffle(pool.filter(name => !previous.includes(name)));
+    const repeated = shuffle(pool.filter(name => previous.includes(name)));
+    const drawn = [...fresh, ...repeated].slice(0, count);
+
+    // Keep the pool's order so the answer fields don't jump around
+    return pool.filter(name => drawn.includes(name));
+}
+
+// How many categories a round gets out of a list with the given rotation setting
+function roundCategoryCount(categories, rotation) {
+    return rotation > 0 ? Math.min(rotation, categories.length) : categories.length;
+}
+
+// Summary shown in the preset browser, without the full category list
+function toListing(preset) {
+    return {
+        code: preset.code,
+        name: preset.name,
+        language: preset.language,
+        categoryCount: preset.categories.length,
+        rotation: preset.rotation,
+        createdBy: preset.createdBy,
+        createdAt: preset.createdAt,
+        uses: preset.uses
+    };
+}
+
+// Presets keyed by their share code, saved through a persistence store
+function createPresetLibrary(store) {
+    const presets = new Map(); // code -> preset
+
+    function load() {
+        const saved = store.load();
+        if (!saved || !Array.isArray(saved.presets)) return;
+
+        saved.presets.forEach(preset => presets.set(preset.code, preset));
+        console.log(`Loaded ${presets.size} category presets`);
+    }
+
+    function save() {
+        try {
+            store.save({ presets: Array.from(presets.values()) });
+        } catch (err) {
+            console.log(`Failed to save category presets: ${err.message}`);
+        }
+    }
+
+    // Make room for a new preset: the least imported one goes, the longest unused among equals
+    function evict() {
+        const lastUsed = preset => preset.lastUsedAt || preset.createdAt;
+        const weakest = Array.from(presets.values())
+            .sort((a, b) => a.uses - b.uses || lastUsed(a) - lastUsed(b))[0];
+        if (weakest) presets.delete(weakest.code);
+    }
+
+    function generateCode() {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < CODE_LENGTH; i++) {
+                code += CODE_CHARS.charAt(Math.floor(Math.random() * CODE_CHARS.length));
+            }
+        } while (presets.has(code));
+        return code;
+    }
+
+    // Store a new preset and return it with its share code
+    function create({ name, language, categories, rotation, createdBy }) {
+        const preset = {
+            code: generateCode(),
+            name,
+            language,
+            categories: [...categories],
+            rotation: rotation || 0, // Categories drawn per round, 0 = the whole list
+            createdBy,
+            createdAt: Date.now(),
+            uses: 0, // Times a room imported it
+            lastUsedAt: null
+        };
+
+        while (presets.size >= MAX_STORED_PRESETS) {
+            evict();
+        }
+        presets.set(preset.code, preset);
+
+        save();
+        return preset;
+    }
+
+    // Share codes are case-insensitive
+    function get(code) {
+        return presets.get(String(code).toUpperCase()) || null;
+    }
+
+    function recordUse(code) {
+        const preset = get(code);
+        if (!preset) return;
+
+        preset.uses++;
+        preset.lastUsedAt = Date.now();
+        save();
+    }
+
+    // Most imported first, newest first among equals
+    function list({ language = null, limit = 50 } = {}) {
+        return Array.from(presets.values())
+            .filter(preset => !language || preset.language === language)
+            .sort((a, b) => b.uses - a.uses || b.createdAt - a.createdAt)
+            .slice(0, limit)
+            .map(toListing);
+    }
+
+    return {
+        load,
+        create,
+        get,
+        recordUse,
+        list
+    };
+}
+
+module.exports = {
+    MAX_ROUND_CATEGORIES,
+    MAX_POOL_CATEGORIES,
+    CODE_LENGTH,
+    rotateCategories,
+    roundCategoryCount,
+    createPresetLibrary
+};
@@ -0,0 +1,165 @@
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_TRACKED_WORDS = 100; // Distinct words kept per profile
+const TOP_WORDS = 5;
+
+// Per-game stats collected on each player while a game is running
+function createPlayerStats() {
+    return {
+        rounds: 0,
+        points: 0,
+        categories: {}, // category name -> { points, rounds }
+        words: {}       // normalized answer -> times used
+    };
+}
+
+// Keep only the most used words so profiles don't grow forever
+function trimWords(words) {
+    const entries = Object.entries(words);
+    if (entries.length <= MAX_TRACKED_WORDS) return words;
+
+    return Object.fromEntries(
+        entries.sort((a, b) => b[1] - a[1]).slice(0, MAX_TRACKED_WORDS)
+    );
+}
+
+// Public view of a profile (never includes the session id)
+function toPublicProfile(profile) {
+    let bestCategory = null;
+    let bestAverage = -1;
+    Object.entries(profile.categories).forEach(([name, { points, rounds }]) => {
+        const average = rounds > 0 ? points / rounds : 0;
+        if (average > bestAverage) {
+            bestAverage = average;
+            bestCategory = name;
+        }
+    });
+
+    return {
+        id: profile.id,
+        nick: profile.nick,
+        avatarSeed: profile.avatarSeed,
+        gamesPlayed: profile.gamesPlayed,
+        wins: profile.wins,
+        roundsPlayed: profile.roundsPlayed,
+        averageRoundScore: profile.roundsPlayed > 0
+            ? Math.round((profile.totalRoundScore / profile.roundsPlayed) * 10) / 10
+            : 0,
+        bestCategory,
+        topWords: Object.entries(profile.words)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TOP_WORDS)
+            .map(([word, count]) => ({ word, count })),
+        updatedAt: profile.updatedAt
+    };
+}
+
+// Profiles keyed by the player's browser session, saved through a persistence store
+function createProfileRegistry(store) {
+    const profiles = new Map(); // sessionId -> profile
+
+    function load() {
+        const saved = store.load();
+        if (!saved || !Array.isArray(saved.profiles)) return;
+
+        saved.profiles.forEach(([sessionId, profile]) => profiles.set(sessionId, profile));
+        console.log(`Loaded ${profiles.size} player profiles`);
+    }
+
+    function save() {
+        try {
+            store.save({ profiles: Array.from(profiles.entries()) });
+        } catch (err) {
+            console.log(`Failed to save profiles: ${err.message}`);
+        }
+    }
+
+    function getOrCreate(sessionId) {
+        let profile = profiles.get(sessionId);
+        if (!profile) {
+            profile = {
+                id: uuidv4().substring(0, 8),
+                nick: '',
+                avatarSeed: '',
+                gamesPlayed: 0,
+                wins: 0,
+                roundsPlayed: 0,
+                totalRoundScore: 0,
+                categories: {},
+                words: {},
+                updatedAt: null
+            };
+            profiles.set(sessionId, profile);
+        }
+        return profile;
+    }
+
+    // entries: final standings with each player's sessionId and per-game stats
+    function recordGame(entries) {
+        const topScore = Math.max(...entries.map(entry => entry.totalScore));
+
+        entries.forEach(entry => {
+            if (!entry.sessionId) return;
+
+            const profile = getOrCreate(entry.sessionId);
+            const stats = entry.stats || createPlayerStats();
+
+            profile.nick = entry.nick;
+            profile.avatarSeed = entry.avatarSeed;
+            profile.gamesPlayed++;
+            if (entry.totalScore === topScore) profile.wins++; // Ties share the win
+            profile.roundsPlayed += stats.rounds;
+            profile.totalRoundScore += stats.points;
+
+            Object.entries(stats.categories).forEach(([name, { points, rounds }]) => {
+                const category = profile.categories[name] || { points: 0, rounds: 0 };
+                category.points += points;
+                category.rounds += rounds;
+                profile.categories[name] = category;
+            });
+
+            Object.entries(stats.words).forEach(([word, count]) => {
+                profile.words[word] = (profile.words[word] || 0) + count;
+            });
+            profile.words = trimWords(profile.words);
+            profile.updatedAt = Date.now();
+        });
+
+        save();
+    }
+
+    function getBySession(sessionId) {
+        const profile = profiles.get(sessionId);
+        return profile ? toPublicProfile(profile) : null;
+    }
+
+    function getById(id) {
+        for (const profile of profiles.values()) {
+            if (profile.id === id) return toPublicProfile(profile);
+        }
+        return null;
+    }
+
+    // Most wins first, average round score breaks ties
+    function leaderboard(limit = 20) {
+        return Array.from(profiles.values())
+            .filter(profile => profile.gamesPlayed > 0)
+            .map(toPublicProfile)
+            .sort((a, b) => b.wins - a.wins || b.averageRoundScore - a.averageRoundScore)
+            .slice(0, limit)
+            .map((profile, idx) => ({ rank: idx + 1, ...profile }));
+    }
+
+    return {
+        load,
+        recordGame,
+        getBySession,
+        getById,
+        leaderboard
+    };
+}
+
+module.exports = {
+    createPlayerStats,
+    createProfileRegistry
+};
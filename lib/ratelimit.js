@@ -0,0 +1,51 @@
+// Per-socket event rate limits (fixed windows)
+
+const DEFAULT_LIMIT = { max: 20, windowMs: 1000 };
+
+// Events that can create work or spam everyone get tighter limits
+// silent: drop extra events without telling the client (high-frequency UI events)
+const LIMITS = {
+    'room:create': { max: 3, windowMs: 10000 },
+    'room:join': { max: 5, windowMs: 10000 },
+    'room:spectate': { max: 5, windowMs: 10000 },
+    'queue:join': { max: 5, windowMs: 10000 },
+    'daily:start': { max: 5, windowMs: 10000 },
+    'daily:submit': { max: 10, windowMs: 1000, silent: true },
+    'session:restore': { max: 5, windowMs: 10000 },
+    'invite:create': { max: 5, windowMs: 10000 },
+    'bot:add': { max: 5, windowMs: 5000 },
+    'settings:update': { max: 10, windowMs: 1000 },
+    'preset:save': { max: 3, windowMs: 60000 }, // Every save is written to disk and takes a library slot
+    'answers:submit': { max: 10, windowMs: 1000, silent: true },
+    'player:typing': { max: 10, windowMs: 1000, silent: true },
+    'answer:challenge': { max: 5, windowMs: 5000 },
+    'answer:react': { max: 10, windowMs: 5000 },
+    'profile:get': { max: 5, windowMs: 5000 },
+    'chat:message': { max: 5, windowMs: 5000 }
+};
+
+function createRateLimiter(limits = LIMITS) {
+    const windows = new Map(); // event -> { startedAt, count }
+
+    // Returns { allowed, silent }
+    function check(event) {
+        const limit = limits[event] || DEFAULT_LIMIT;
+        const now = Date.now();
+
+        let window = windows.get(event);
+        if (!window || now - window.startedAt >= limit.windowMs) {
+            window = { startedAt: now, count: 0 };
+            windows.set(event, window);
+        }
+
+        window.count++;
+        return { allowed: window.count <= limit.max, silent: !!limit.silent };
+    }
+
+    return { check };
+}
+
+module.exports = {
+    LIMITS,
+    createRateLimiter
+};
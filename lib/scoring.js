@@ -0,0 +1,50 @@
+// Scoring rules: point values per rule, named presets and per-room overrides
+// Every category score records the rule that produced it so the results can explain it
+
+// Rule keys with their default points (the client translates their labels)
+const RULES = {
+    unique: { points: 20 },
+    duplicate: { points: 10 },
+    bonus: { points: 30 },
+    soleAnswer: { points: 0 }, // Replaces unique when nobody else answered, 0 = off
+    emptyPenalty: { points: 0 }, // Deducted for every empty field, 0 = off
+    speedBonus: { points: 0 } // STOP presser with every field valid, 0 = off
+};
+
+// The rule a score came from when no points are involved
+const NO_POINTS = 'invalid';
+// Filled in during the STOP countdown in a room that does not count those
+const LATE = 'late';
+
+const PRESETS = {
+    classic: { rules: {} },
+    house: { rules: { soleAnswer: 30, speedBonus: 5 } },
+    strict: { rules: { soleAnswer: 30, emptyPenalty: 5, speedBonus: 5 } }
+};
+
+const MAX_RULE_POINTS = 100;
+
+// Points per rule for a room: defaults, then the preset, then the room's own overrides
+function resolveRules(settings) {
+    const defaults = Object.fromEntries(Object.entries(RULES).map(([key, rule]) => [key, rule.points]));
+    const preset = PRESETS[settings.scoringPreset] || PRESETS.classic;
+    return { ...defaults, ...preset.rules, ...(settings.scoringRules || {}) };
+}
+
+// Pick the rule for one valid answer that went through duplicate grouping
+// validCount: how many valid answers the category got in total
+function groupRule(rules, isDuplicate, validCount) {
+    if (isDuplicate) return 'duplicate';
+    if (validCount === 1 && rules.soleAnswer > 0) return 'soleAnswer';
+    return 'unique';
+}
+
+module.exports = {
+    RULES,
+    PRESETS,
+    NO_POINTS,
+    LATE,
+    MAX_RULE_POINTS,
+    resolveRules,
+    groupRule
+};
@@ -0,0 +1,100 @@
+// Team mode helpers: team list, balancing, category splitting and standings
+
+// Fixed team palette, settings.teamCount decides how many are in play
+const TEAMS = [
+    { id: 'red', color: '#ef4444' },
+    { id: 'blue', color: '#3b82f6' },
+    { id: 'green', color: '#22c55e' },
+    { id: 'yellow', color: '#eab308' }
+];
+
+const MIN_TEAMS = 2;
+
+function getTeams(count) {
+    const n = Math.min(Math.max(parseInt(count) || MIN_TEAMS, MIN_TEAMS), TEAMS.length);
+    return TEAMS.slice(0, n);
+}
+
+function isTeamId(teamId, count) {
+    return getTeams(count).some(team => team.id === teamId);
+}
+
+// Put every player without a (valid) team into the smallest team
+function balanceTeams(players, count) {
+    const teams = getTeams(count);
+    const sizes = new Map(teams.map(team => [team.id, 0]));
+
+    players.forEach(player => {
+        if (sizes.has(player.teamId)) {
+            sizes.set(player.teamId, sizes.get(player.teamId) + 1);
+        } else {
+            player.teamId = null;
+        }
+    });
+
+    players.filter(player => !player.teamId).forEach(player => {
+        const [smallest] = Array.from(sizes.entries()).sort((a, b) => a[1] - b[1])[0];
+        player.teamId = smallest;
+        sizes.set(smallest, sizes.get(smallest) + 1);
+    });
+}
+
+// Share the round's categories between each team's members
+// Rotates with the round number so nobody keeps the same categories
+// Returns playerId -> [category keys]
+function assignCategories(players, categoryKeys, round) {
+    const members = new Map();
+    players.forEach(player => {
+        if (!player.teamId) return;
+        if (!members.has(player.teamId)) members.set(player.teamId, []);
+        members.get(player.teamId).push(player.id);
+    });
+
+    const assignments = {};
+    members.forEach(ids => {
+        ids.forEach(id => {
+            assignments[id] = [];
+        });
+        categoryKeys.forEach((cat, index) => {
+            assignments[ids[(index + round) % ids.length]].push(cat);
+        });
+    });
+
+    return assignments;
+}
+
+// Team totals with per-member breakdowns, best team first
+function buildTeamStandings(players, count) {
+    return getTeams(count)
+        .map(team => {
+            const members = players
+                .filter(player => player.teamId === team.id)
+                .map(player => ({
+                    id: player.id,
+                    nick: player.nick,
+                    avatarSeed: player.avatarSeed,
+                    roundScore: player.roundScore,
+                    totalScore: player.totalScore
+                }))
+                .sort((a, b) => b.totalScore - a.totalScore);
+
+            return {
+                ...team,
+                roundScore: members.reduce((sum, member) => sum + member.roundScore, 0),
+                totalScore: members.reduce((sum, member) => sum + member.totalScore, 0),
+                members
+            };
+        })
+        .filter(team => team.members.length > 0)
+        .sort((a, b) => b.totalScore - a.totalScore)
+        .map((team, idx) => ({ rank: idx + 1, ...team }));
+}
+
+module.exports = {
+    TEAMS,
+    getTeams,
+    isTeamId,
+    balanceTeams,
+    assignCategories,
+    buildTeamStandings
+};
@@ -0,0 +1,266 @@
+// Payload schemas for every socket event
+// validate(event, payload) -> { value } with only the known, cleaned fields, or { error, params }
+// Errors are codes the client translates, params fill in the limits
+
+const { MATCHING_MODES } = require('./normalize');
+const { DIFFICULTIES } = require('./bots');
+const { WEIGHTINGS, LETTER_MODES } = require('./letters');
+const languages = require('./languages');
+const { RULES, PRESETS, MAX_RULE_POINTS } = require('./scoring');
+const { MAX_ROUND_CATEGORIES, MAX_POOL_CATEGORIES, CODE_LENGTH } = require('./presets');
+
+const MAX_NICK_LENGTH = 15;
+const MAX_CATEGORY_LENGTH = 20;
+const MAX_PRESET_NAME_LENGTH = 30;
+const MAX_ANSWER_LENGTH = 50;
+const MAX_CHAT_LENGTH = 200;
+const MAX_ALPHABET_LENGTH = 64;
+
+// Quick reactions allowed on answers during review
+const REACTIONS = ['👍', '😂', '🔥', '🤔', '👎'];
+
+const INVALID_PAYLOAD = 'invalid_payload';
+
+// ---- Field validators: value -> { value } or { error, params } ----
+
+// Validators given a code report it with their bounds, the rest fail with INVALID_PAYLOAD
+function failure(code, params) {
+    return code ? { error: code, params } : { error: INVALID_PAYLOAD };
+}
+
+function string({ min = 0, max, pattern, trim = true, truncate = false, code } = {}) {
+    return value => {
+        if (typeof value !== 'string') return failure(code, { min, max });
+
+        let text = trim ? value.trim() : value;
+        if (truncate && text.length > max) text = text.substring(0, max);
+
+        if (text.length < min || text.length > max || (pattern && !pattern.test(text))) {
+            return failure(code, { min, max });
+        }
+        return { value: text };
+    };
+}
+
+function int({ min, max, code }) {
+    return value => {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (!Number.isInteger(number) || number < min || number > max) {
+            return failure(code, { min, max });
+        }
+        return { value: number };
+    };
+}
+
+function bool() {
+    return value => (typeof value === 'boolean' ? { value } : { error: INVALID_PAYLOAD });
+}
+
+function oneOf(values) {
+    return value => (values.includes(value) ? { value } : { error: INVALID_PAYLOAD });
+}
+
+// Like oneOf, for values only known once the server has loaded its data
+function known(has) {
+    return value => (typeof value === 'string' && has(value) ? { value } : { error: INVALID_PAYLOAD });
+}
+
+function nullable(validator) {
+    return value => (value === null ? { value: null } : validator(value));
+}
+
+function array(item, { min = 0, max, unique = false, code, params }) {
+    return value => {
+        if (!Array.isArray(value) || value.length < min || value.length > max) {
+            return failure(code, { min, max, ...params });
+        }
+
+        const items = [];
+        for (const entry of value) {
+            const result = item(entry);
+            if (result.error) return result;
+            if (unique && items.includes(result.value)) return failure(code, { min, max, ...params });
+            items.push(result.value);
+        }
+        return { value: items };
+    };
+}
+
+// Plain object with free-form keys, e.g. answers keyed by category
+function record(keyPattern, item, { max }) {
+    return value => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: INVALID_PAYLOAD };
+
+        const entries = Object.entries(value);
+        if (entries.length > max) return { error: INVALID_PAYLOAD };
+
+        const result = {};
+        for (const [key, entry] of entries) {
+            if (!keyPattern.test(key)) return { error: INVALID_PAYLOAD };
+            const checked = item(entry);
+            if (checked.error) return checked;
+            result[key] = checked.value;
+        }
+        return { value: result };
+    };
+}
+
+// ---- Shared fields ----
+
+const id = string({ min: 1, max: 64, pattern: /^[\w-]+$/ });
+const categoryKey = string({ pattern: /^(cat_\d{1,2}|bonus)$/, max: 6 });
+
+const identity = {
+    nick: string({ min: 1, max: MAX_NICK_LENGTH, code: 'nick_length' }),
+    avatarSeed: string({ min: 1, max: 64, trim: false }),
+    sessionId: id
+};
+
+const roomCode = string({
+    pattern: /^[A-Za-z0-9]{5}$/,
+    max: 5,
+    code: 'room_code_format'
+});
+
+// Optional ways into a protected room
+const roomAccess = {
+    password: string({ max: 32, trim: false }),
+    inviteToken: string({ max: 64, pattern: /^[a-f0-9]+$/ })
+};
+
+// Checked against the room's language pack by the handlers
+const letter = string({ min: 1, max: 4 });
+
+// Answers keyed by category, as typed so far
+const answerMap = record(/^(cat_\d{1,2}|bonus)$/, string({ max: MAX_ANSWER_LENGTH, trim: false, truncate: true }), {
+    max: MAX_ROUND_CATEGORIES + 1
+});
+
+const answerTarget = {
+    targetPlayerId: id,
+    category: categoryKey
+};
+
+// ---- Event schemas ----
+// fields: required keys; optional: keys that may be left out
+
+const SCHEMAS = {
+    'session:restore': { fields: { sessionId: id, playerId: id } },
+    'room:create': { fields: identity },
+    'room:join': { fields: { roomCode, ...identity }, optional: roomAccess },
+    'room:spectate': { fields: { roomCode, ...identity }, optional: roomAccess },
+    'queue:join': {
+        fields: identity,
+        optional: {
+            rounds: nullable(int({ min: 1, max: 20, code: 'max_rounds_range' })),
+            bonus: nullable(bool())
+        }
+    },
+    'queue:leave': { fields: {} },
+    'daily:start': { fields: identity, optional: { language: known(languages.hasPack) } },
+    'daily:submit': { fields: { answers: answerMap, final: bool() } },
+    'room:setPassword': { fields: { password: string({ max: 32, trim: false, code: 'password_length' }) } },
+    'invite:create': { fields: { singleUse: bool() } },
+    'room:leave': { fields: {} },
+    'spectator:queue': { fields: { queued: bool() } },
+    'player:ready': { fields: { ready: bool() } },
+    'player:kick': { fields: { targetPlayerId: id } },
+    'player:typing': { fields: { category: categoryKey } },
+    'settings:update': {
+        fields: {},
+        optional: {
+            minTime: int({ min: 5, max: 60, code: 'min_time_range' }),
+            maxRoundTime: int({ min: 0, max: 600, code: 'max_round_time_range' }),
+            maxRounds: int({ min: 1, max: 20, code: 'max_rounds_range' }),
+            useBonus: bool(),
+            scoreUnknown: bool(),
+            scoreLateAnswers: bool(),
+            duplicateMatching: oneOf(Object.keys(MATCHING_MODES)),
+            reviewMode: oneOf(['host', 'vote']),
+            voteThreshold: int({ min: 1, max: 99, code: 'vote_threshold_range' }),
+            voteTimeout: int({ min: 5, max: 120 }),
+            teamMode: bool(),
+            teamCount: int({ min: 2, max: 4 }),
+            splitCategories: bool(),
+            isPrivate: bool(),
+            letterMode: oneOf(LETTER_MODES),
+            letterWeighting: oneOf(Object.keys(WEIGHTINGS)),
+            excludedLetters: array(letter, { max: MAX_ALPHABET_LENGTH, unique: true }),
+            language: known(languages.hasPack),
+            scoringPreset: oneOf(Object.keys(PRESETS)),
+            scoringRules: record(new RegExp(`^(${Object.keys(RULES).join('|')})$`), int({
+                min: 0,
+                max: MAX_RULE_POINTS,
+                code: 'rule_points_range'
+            }), { max: Object.keys(RULES).length }),
+            categories: array(string({ min: 1, max: MAX_CATEGORY_LENGTH }), {
+                min: 1,
+                max: MAX_POOL_CATEGORIES,
+                unique: true,
+                code: 'categories_invalid',
+                params: { maxLength: MAX_CATEGORY_LENGTH }
+            }),
+            categoryRotation: int({ min: 0, max: MAX_ROUND_CATEGORIES })
+        }
+    },
+    'preset:save': { fields: { name: string({ min: 1, max: MAX_PRESET_NAME_LENGTH, code: 'preset_name_length' }) } },
+    'preset:import': {
+        fields: { code: string({ pattern: new RegExp(`^[A-Za-z0-9]{${CODE_LENGTH}}$`), max: CODE_LENGTH, code: 'preset_code_format' }) }
+    },
+    'team:assign': { fields: { targetPlayerId: id, teamId: nullable(string({ max: 16, pattern: /^[a-z]+$/ })) } },
+    'team:balance': { fields: {} },
+    'bot:add': { fields: { difficulty: oneOf(Object.keys(DIFFICULTIES)) } },
+    'game:start': { fields: {} },
+    'sticks:draw': { fields: {} },
+    'letter:pick': { fields: { letter } },
+    'letter:vote': { fields: { letter } },
+    'answers:submit': { fields: { answers: answerMap } },
+    'round:stop': { fields: {} },
+    'answer:invalidate': { fields: answerTarget },
+    'answer:challenge': { fields: answerTarget },
+    'answer:vote': { fields: { ...answerTarget, agree: bool() } },
+    'answer:split': { fields: answerTarget },
+    'answer:react': { fields: { ...answerTarget, emoji: oneOf(REACTIONS) } },
+    'review:navigate': { fields: { playerIndex: int({ min: 0, max: 64 }) } },
+    'game:nextRound': { fields: {} },
+    'game:returnToLobby': { fields: {} },
+    'profile:get': { fields: { sessionId: id } },
+    'chat:message': {
+        fields: { message: string({ min: 1, max: MAX_CHAT_LENGTH, truncate: true, code: 'chat_empty' }) }
+    }
+};
+
+function validate(event, payload) {
+    const schema = SCHEMAS[event];
+    if (!schema) return { error: INVALID_PAYLOAD };
+
+    // Events without fields ignore whatever was sent
+    const required = Object.entries(schema.fields);
+    const optional = Object.entries(schema.optional || {});
+    if (required.length === 0 && optional.length === 0) return { value: {} };
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return { error: INVALID_PAYLOAD };
+    }
+
+    const value = {};
+    for (const [key, validator] of required) {
+        const result = validator(payload[key]);
+        if (result.error) return result;
+        value[key] = result.value;
+    }
+    for (const [key, validator] of optional) {
+        if (payload[key] === undefined) continue;
+        const result = validator(payload[key]);
+        if (result.error) return result;
+        value[key] = result.value;
+    }
+
+    return { value };
+}
+
+module.exports = {
+    REACTIONS,
+    SCHEMAS,
+    validate
+};
@@ -0,0 +1,314 @@
+// English UI strings
+// Keys are shared by every language file, {name} placeholders are filled in by t()
+
+window.TRANSLATIONS = window.TRANSLATIONS || {};
+
+TRANSLATIONS.en = {
+    'app.title': 'Kalakobana - Multiplayer',
+    'app.name': 'Kalakobana',
+
+    'connection.connected': 'Connected',
+    'connection.disconnected': 'Disconnected',
+    'connection.reconnecting': 'Reconnecting...',
+
+    'spectator.label': 'Spectator',
+    'spectator.joinNext': 'Join the next game',
+    'spectator.leaveQueue': 'In queue (cancel)',
+
+    'chat.title': 'Chat',
+    'chat.placeholder': 'Type...',
+
+    'bonusInfo.title': 'Bonus round',
+    'bonusInfo.text': 'With the bonus category, every round adds one <span class="text-orange-600 font-bold">random</span> category to the standard ones.',
+    'bonusInfo.example': 'For example: brand, color, music...',
+
+    'common.ok': 'OK',
+    'common.back': 'Back',
+    'common.leave': 'Leave',
+    'common.seconds': 's',
+    'common.save': 'Save',
+    'common.host': 'Host',
+    'common.yes': 'Yes',
+    'common.no': 'No',
+
+    'stop.finished': 'Finished',
+    'stop.pressedBy': '{nick} pressed STOP',
+
+    'login.nickname': 'Your name...',
+    'login.create': 'Create',
+    'login.browse': 'Browse',
+    'login.profile': 'Profile and leaderboard',
+    'login.quickJoin': 'Quick join',
+    'login.code': 'Code',
+    'login.nameRequired': '⚠️ Please enter your name',
+    'login.codeRequired': '⚠️ Enter a room code',
+    'login.daily': 'Daily challenge',
+
+    'browse.title': 'Rooms',
+    'browse.subtitle': 'Find a game or create your own',
+    'browse.refresh': 'Refresh',
+    'browse.noRooms': 'No rooms found',
+    'browse.createFirst': 'Create the first one!',
+    'browse.create': 'Create a new room',
+    'browse.count': { one: '{count} room', other: '{count} rooms' },
+    'browse.loadFailed': '❌ Could not load the rooms',
+    'browse.rounds': { one: '{count} round', other: '{count} rounds' },
+    'browse.bonus': 'Bonus',
+    'browse.players': { one: '{count}/{max} players', other: '{count}/{max} players' },
+    'browse.full': 'Full',
+    'browse.inProgress': 'In progress ({round}/{rounds})',
+    'browse.watch': 'Watch',
+
+    'profile.title': 'My profile',
+    'profile.leaderboard': 'Leaderboard',
+    'profile.loadFailed': '❌ Could not load the leaderboard',
+    'profile.noGames': 'You haven\'t played a game yet',
+    'profile.noGamesHint': 'Finish a game and your stats show up here',
+    'profile.games': 'Games:',
+    'profile.wins': 'Wins:',
+    'profile.average': 'Avg. score:',
+    'profile.best': 'Best:',
+    'profile.topWords': 'Favourite words:',
+    'profile.leaderboardEmpty': 'The leaderboard is still empty',
+    'profile.entryStats': '{games} games · {average} avg.',
+
+    'lobby.title': 'Lobby',
+    'lobby.waiting': 'Waiting for players...',
+    'lobby.copyCode': 'Copy the code',
+    'lobby.balanceTeams': 'Put the rest into teams',
+    'lobby.addBot': 'Add a bot',
+    'lobby.ready': 'I\'m ready',
+    'lobby.start': 'Start',
+    'lobby.allMustBeReady': 'Every player has to be ready',
+    'lobby.botTitle': 'Bot ({difficulty})',
+    'lobby.you': 'You',
+    'lobby.playerReady': 'Ready',
+    'lobby.playerWaiting': 'Waiting...',
+    'lobby.removeBot': 'Remove bot',
+    'lobby.kick': 'Kick',
+    'lobby.spectators': 'Spectators:',
+    'lobby.queued': 'Queued',
+    'lobby.cancelReady': 'Cancel',
+    'lobby.confirmKick': 'Do you really want to kick this player?',
+    'lobby.autoStart': 'The game starts by itself in {seconds}s',
+
+    'bots.easy': 'Easy',
+    'bots.medium': 'Medium',
+    'bots.hard': 'Hard',
+
+    'settings.title': 'Settings',
+    'settings.time': 'Time:',
+    'settings.maxTimeHint': '0 = no limit',
+    'settings.maxTime': 'Max. time:',
+    'settings.rounds': 'Rounds:',
+    'settings.bonus': 'Bonus:',
+    'settings.whatIsThis': 'What is this?',
+    'settings.scoreUnknownHint': 'Words missing from the dictionaries still score',
+    'settings.scoreUnknown': 'Unknown words:',
+    'settings.duplicates': 'Duplicates:',
+    'settings.matching.exact': 'Exact',
+    'settings.matching.fuzzy': 'Similar',
+    'settings.matching.loose': 'Loose',
+    'settings.review': 'Review:',
+    'settings.review.host': 'Host',
+    'settings.review.vote': 'Vote',
+    'settings.voteThreshold': 'Majority:',
+    'settings.scoring': 'Points:',
+    'settings.editRules': 'Edit rules',
+    'settings.language': 'Language:',
+    'settings.letterMode': 'Letter choice:',
+    'settings.letterMode.random': 'Random',
+    'settings.letterMode.host': 'Host picks',
+    'settings.letterMode.vote': 'Vote (3 letters)',
+    'settings.letterWeightingHint': 'How often hard letters come up',
+    'settings.letterWeighting': 'Letters:',
+    'settings.weighting.uniform': 'Evenly',
+    'settings.weighting.easy': 'Easy only',
+    'settings.weighting.normal': 'Normal',
+    'settings.weighting.hard': 'Hard',
+    'settings.excludedLetters': 'Excluded letters:',
+    'settings.teams': 'Teams:',
+    'settings.teamCount': 'Number of teams:',
+    'settings.splitCategoriesHint': 'Team members share the categories between them',
+    'settings.splitCategories': 'Split categories:',
+    'settings.privateHint': 'Private rooms are not listed with the others',
+    'settings.private': 'Private:',
+    'settings.password': 'Password:',
+    'settings.invite': 'Invite:',
+    'settings.inviteSingleUse': 'Single use',
+    'settings.inviteSingleUseHint': 'Single use link (24 h)',
+    'settings.inviteHour': '1 hour',
+    'settings.inviteHourHint': 'Link valid for an hour',
+    'settings.inviteLink': 'Invite link:',
+    'settings.lateAnswers': 'Late answers:',
+    'settings.lateAnswersHint': 'Answers written after STOP still score',
+
+    'scoring.presets.classic': 'Classic',
+    'scoring.presets.house': 'House rules',
+    'scoring.presets.strict': 'Strict',
+    'scoring.rules.unique': 'Unique',
+    'scoring.rules.duplicate': 'Duplicate',
+    'scoring.rules.bonus': 'Bonus category',
+    'scoring.rules.soleAnswer': 'Only answer',
+    'scoring.rules.emptyPenalty': 'Empty field',
+    'scoring.rules.speedBonus': 'Speed bonus',
+
+    'categories.title': 'Categories',
+    'categories.new': 'New category...',
+    'categories.reset': 'Reset',
+    'categories.count': { one: '{count} category', other: '{count} categories' },
+    'categories.nameRequired': '⚠️ Enter a category name',
+    'categories.max': '⚠️ At most {max} categories',
+    'categories.exists': '⚠️ That category already exists',
+    'categories.min': '⚠️ At least one category is needed',
+    'categories.restored': '✅ Categories reset',
+    'categories.rotation': 'Each round:',
+    'categories.savePreset': 'Save',
+    'categories.presets': 'Presets',
+    'categories.presetCode': 'Preset: {code}',
+    'categories.rotationAll': 'All',
+    'categories.rotationCount': '{count} random',
+
+    'sticks.title': 'Picking a letter...',
+    'sticks.ready': 'Ready to pick a letter',
+    'sticks.pressButton': 'Press the button',
+    'sticks.voteForLetter': 'Vote for a letter',
+    'sticks.pickLetter': 'Pick a letter',
+    'sticks.waitingForHost': 'The host will pick a letter...',
+    'sticks.drawLetters': 'Draw letters',
+    'sticks.drawLetter': 'Pick a letter',
+    'sticks.votes': { one: '{count} vote', other: '{count} votes' },
+
+    'game.confirmLeave': 'Do you really want to leave?',
+    'game.round': 'Round',
+    'game.teammate': 'Teammate',
+    'game.transliterate': 'Type in Latin',
+    'game.transliterateHint': 'Latin letters turn into Georgian as you type (phonetic layout)',
+    'game.keyboard': 'Keyboard',
+
+    'results.home': 'Home',
+    'results.title': 'Review',
+    'results.subtitle': 'Check every player\'s answers',
+    'results.hostReviews': 'The host runs the review',
+    'results.nextRound': 'Next round',
+    'results.status.verified': 'In the dictionary',
+    'results.status.unknown': 'Not found in the dictionary',
+    'results.status.rejected': 'Suspicious answer',
+    'results.challengeNotice': 'Challenge a doubtful answer and vote on it',
+    'results.finishGame': 'Finish game',
+    'results.challenge': 'Challenge',
+    'results.category': 'Category',
+    'results.word': 'Word',
+    'results.points': 'Points',
+    'results.split': 'Split',
+    'results.late': 'Written after STOP',
+    'results.lateVoid': 'Written after STOP, does not score',
+
+    'ended.title': 'Game over!',
+    'ended.newGame': 'New game',
+    'ended.points': { one: '{count} point', other: '{count} points' },
+    'ended.teams': 'Teams',
+    'ended.fullRanking': 'Full ranking',
+
+    'toast.sessionRestored': '🔄 Session restored!',
+    'toast.roomCreated': '✨ Room created: {code}',
+    'toast.roomJoined': '🎮 Joined room {code}',
+    'toast.spectating': '👁 Watching room {code}',
+    'toast.promoted': '🎮 You\'re in the game now!',
+    'toast.roomClosed': '🚪 The room was closed',
+    'toast.playerJoined': '👋 {nick} joined',
+    'toast.playerKicked': '🚫 {nick} was removed',
+    'toast.playerLeft': '👋 {nick} left',
+    'toast.playerDisconnected': '⚠️ {nick} disconnected...',
+    'toast.playerReconnected': '✅ {nick} is back',
+    'toast.kicked': '🚫 You were removed from the room',
+    'toast.nowHost': '👑 You are the host now!',
+    'toast.gameStarted': '🎮 The game has started!',
+    'toast.allSubmitted': '✅ Everybody is done!',
+    'toast.linkCopied': '🔗 Link copied!',
+    'toast.passwordSet': '🔒 Password set',
+    'toast.passwordCleared': '🔓 Password removed',
+    'toast.codeCopied': '📋 Code copied: {code}',
+    'toast.timeUp': '⏰ Time\'s up!',
+    'toast.invite': '✉️ Enter your name to join room {code}',
+    'toast.presetSaved': '💾 Preset "{name}" saved, code: {code}',
+    'toast.presetImported': '📚 Loaded preset "{name}"',
+
+    'room.confirmSpectate': 'Do you want to watch the game as a spectator?',
+    'room.enterPassword': 'Enter the room password:',
+
+    'vote.restored': '⚖️ {nick} ({category}): restored',
+    'vote.invalidated': '⚖️ {nick} ({category}): struck out',
+    'vote.unchanged': '⚖️ {nick} ({category}): unchanged',
+    'vote.restoreQuestion': 'Restore?',
+    'vote.invalidateQuestion': 'Invalidate?',
+
+    'teams.none': 'No team',
+    'teams.red': 'Red',
+    'teams.blue': 'Blue',
+    'teams.green': 'Green',
+    'teams.yellow': 'Yellow',
+
+    'errors.letters_min_one': 'At least one letter has to stay',
+    'errors.invalid_payload': 'Invalid data',
+    'errors.rate_limited': 'Too many requests, please wait',
+    'errors.server_error': 'Server error',
+    'errors.nick_length': 'Name must be {min}-{max} characters',
+    'errors.room_code_format': 'Room code must be 5 characters',
+    'errors.password_length': 'Password can be at most {max} characters',
+    'errors.min_time_range': 'Minimum time must be {min}-{max} seconds',
+    'errors.max_round_time_range': 'Round limit must be {min}-{max} seconds',
+    'errors.round_time_below_min': 'Round limit can\'t be shorter than the minimum time ({min} seconds)',
+    'errors.max_rounds_range': 'Number of rounds must be {min}-{max}',
+    'errors.vote_threshold_range': 'Majority must be {min}-{max}%',
+    'errors.rule_points_range': 'Points must be {min}-{max}',
+    'errors.categories_invalid': 'You need {min}-{max} different categories (max. {maxLength} characters)',
+    'errors.chat_empty': 'Empty message',
+    'errors.room_not_found': 'Room not found',
+    'errors.game_in_progress': 'The game has already started',
+    'errors.room_full': 'The room is full (max. {max} players)',
+    'errors.wrong_password': 'Wrong password',
+    'errors.password_required': 'The room is password protected',
+    'errors.players_not_ready': 'Not every player is ready',
+    'errors.letter_excluded': 'This letter is excluded',
+    'errors.wait_for_timer': 'Wait for the timer',
+    'errors.vote_in_progress': 'A vote is already running',
+    'errors.categories_per_round': 'At most {max} categories per round, turn on rotation for more',
+    'errors.preset_name_length': 'Preset name must be {min}-{max} characters',
+    'errors.preset_code_format': 'Preset code must be {max} characters',
+    'errors.preset_not_found': 'Preset not found',
+    'errors.wrong_phase': 'Not possible at this point of the game',
+    'errors.queue_in_room': 'Leave your current room first',
+    'errors.daily_full': 'Today\'s challenge is full',
+    'errors.daily_played': 'Today\'s challenge was already played from this network',
+    'errors.daily_not_started': 'Start the daily challenge first',
+
+    'presets.title': 'Category presets',
+    'presets.code': 'Preset code',
+    'presets.loading': 'Loading...',
+    'presets.namePrompt': 'Preset name:',
+    'presets.empty': 'No presets for this language yet',
+    'presets.perRound': '{count} per round',
+    'presets.import': 'Import',
+    'presets.loadFailed': 'Could not load presets',
+    'presets.codeRequired': '⚠️ Enter a preset code',
+
+    'quickPlay.title': 'Quick play',
+    'quickPlay.anyRounds': 'Any rounds',
+    'quickPlay.anyBonus': 'Bonus or not',
+    'quickPlay.withBonus': 'With bonus',
+    'quickPlay.withoutBonus': 'Without bonus',
+    'quickPlay.searching': 'Looking for a game...',
+    'quickPlay.cancel': 'Cancel',
+    'quickPlay.status': { one: 'You are number {position} in line, {count} player waiting. A room opens at {needed} players.', other: 'You are number {position} in line, {count} players waiting. A room opens at {needed} players.' },
+
+    'daily.title': 'Daily challenge',
+    'daily.subtitle': 'Everyone gets the same letter and categories today, play whenever you like',
+    'daily.play': 'Play',
+    'daily.rules': 'One try a day against the clock. Duplicates are checked against everyone who played.',
+    'daily.leaderboard': 'Daily leaderboard',
+    'daily.letter': 'Letter: {letter}',
+    'daily.empty': 'Nobody has played this day yet',
+    'daily.answersLater': 'Answers are shown once the day is over',
+    'daily.loadFailed': '❌ Could not load the leaderboard'
+};
@@ -0,0 +1,314 @@
+// Georgian UI strings, also the fallback for keys another language lacks
+// Keys are shared by every language file, {name} placeholders are filled in by t()
+
+window.TRANSLATIONS = window.TRANSLATIONS || {};
+
+TRANSLATIONS.ka = {
+    'app.title': 'ქალაქობანა - Multiplayer',
+    'app.name': 'ქალაქობანა',
+
+    'connection.connected': 'დაკავშირებული',
+    'connection.disconnected': 'გათიშული',
+    'connection.reconnecting': 'დაკავშირება მიმდინარეობს...',
+
+    'spectator.label': 'მაყურებელი',
+    'spectator.joinNext': 'შემდეგ თამაშში ჩართვა',
+    'spectator.leaveQueue': 'რიგში ხარ (გაუქმება)',
+
+    'chat.title': 'ჩატი',
+    'chat.placeholder': 'დაწერე...',
+
+    'bonusInfo.title': 'ბონუს რაუნდი',
+    'bonusInfo.text': 'ბონუს კატეგორია ნიშნავს, რომ ყოველ რაუნდში სტანდარტულ კატეგორიებს დაემატება ერთი <span class="text-orange-600 font-bold">შემთხვევითი</span> კატეგორია.',
+    'bonusInfo.example': 'მაგალითად: ბრენდი, ფერი, მუსიკა...',
+
+    'common.ok': 'კარგი',
+    'common.back': 'უკან',
+    'common.leave': 'გასვლა',
+    'common.seconds': 'წმ',
+    'common.save': 'შენახვა',
+    'common.host': 'ჰოსტი',
+    'common.yes': 'დიახ',
+    'common.no': 'არა',
+
+    'stop.finished': 'დასრულებულია',
+    'stop.pressedBy': '{nick} დააჭირა STOP-ს',
+
+    'login.nickname': 'შენი სახელი...',
+    'login.create': 'შექმნა',
+    'login.browse': 'დათვალიერება',
+    'login.profile': 'პროფილი და რეიტინგი',
+    'login.quickJoin': 'სწრაფი შესვლა',
+    'login.code': 'კოდი',
+    'login.nameRequired': '⚠️ გთხოვთ შეიყვანოთ სახელი',
+    'login.codeRequired': '⚠️ შეიყვანეთ ოთახის კოდი',
+    'login.daily': 'დღის გამოწვევა',
+
+    'browse.title': 'ოთახები',
+    'browse.subtitle': 'იპოვე თამაში ან შექმენი შენი',
+    'browse.refresh': 'განახლება',
+    'browse.noRooms': 'ოთახები არ მოიძებნა',
+    'browse.createFirst': 'შექმენი პირველი ოთახი!',
+    'browse.create': 'ახალი ოთახის შექმნა',
+    'browse.count': '{count} ოთახი',
+    'browse.loadFailed': '❌ ოთახების ჩატვირთვა ვერ მოხერხდა',
+    'browse.rounds': '{count} რაუნდი',
+    'browse.bonus': 'ბონუსი',
+    'browse.players': '{count}/{max} მოთამაშე',
+    'browse.full': 'სავსეა',
+    'browse.inProgress': 'მიმდინარეობს ({round}/{rounds})',
+    'browse.watch': 'ყურება',
+
+    'profile.title': 'ჩემი პროფილი',
+    'profile.leaderboard': 'რეიტინგი',
+    'profile.loadFailed': '❌ რეიტინგის ჩატვირთვა ვერ მოხერხდა',
+    'profile.noGames': 'ჯერ არც ერთი თამაში არ გითამაშია',
+    'profile.noGamesHint': 'დაასრულე თამაში და სტატისტიკა აქ გამოჩნდება',
+    'profile.games': 'თამაშები:',
+    'profile.wins': 'მოგებები:',
+    'profile.average': 'საშ. ქულა:',
+    'profile.best': 'საუკეთესო:',
+    'profile.topWords': 'ხშირი სიტყვები:',
+    'profile.leaderboardEmpty': 'რეიტინგი ჯერ ცარიელია',
+    'profile.entryStats': '{games} თამაში · {average} საშ.',
+
+    'lobby.title': 'მოსაცდელი',
+    'lobby.waiting': 'ელოდება მოთამაშეებს...',
+    'lobby.copyCode': 'დააკოპირე კოდი',
+    'lobby.balanceTeams': 'დარჩენილების გუნდებში გადანაწილება',
+    'lobby.addBot': 'ბოტის დამატება',
+    'lobby.ready': 'მზად ვარ',
+    'lobby.start': 'დაწყება',
+    'lobby.allMustBeReady': 'ყველა მოთამაშე უნდა იყოს მზად',
+    'lobby.botTitle': 'ბოტი ({difficulty})',
+    'lobby.you': 'შენ',
+    'lobby.playerReady': 'მზადაა',
+    'lobby.playerWaiting': 'ელოდება...',
+    'lobby.removeBot': 'ბოტის წაშლა',
+    'lobby.kick': 'გაგდება',
+    'lobby.spectators': 'მაყურებლები:',
+    'lobby.queued': 'რიგში',
+    'lobby.cancelReady': 'გაუქმება',
+    'lobby.confirmKick': 'ნამდვილად გსურთ ამ მოთამაშის გაგდება?',
+    'lobby.autoStart': 'თამაში ავტომატურად დაიწყება {seconds} წამში',
+
+    'bots.easy': 'მარტივი',
+    'bots.medium': 'საშუალო',
+    'bots.hard': 'რთული',
+
+    'settings.title': 'პარამეტრები',
+    'settings.time': 'დრო:',
+    'settings.maxTimeHint': '0 = შეზღუდვის გარეშე',
+    'settings.maxTime': 'მაქს. დრო:',
+    'settings.rounds': 'რაუნდები:',
+    'settings.bonus': 'ბონუსი:',
+    'settings.whatIsThis': 'რა არის ეს?',
+    'settings.scoreUnknownHint': 'ლექსიკონში არარსებული სიტყვებიც მიიღებენ ქულას',
+    'settings.scoreUnknown': 'უცნობი სიტყვები:',
+    'settings.duplicates': 'დუბლიკატები:',
+    'settings.matching.exact': 'ზუსტი',
+    'settings.matching.fuzzy': 'მსგავსი',
+    'settings.matching.loose': 'თავისუფალი',
+    'settings.review': 'შემოწმება:',
+    'settings.review.host': 'ჰოსტი',
+    'settings.review.vote': 'კენჭისყრა',
+    'settings.voteThreshold': 'უმრავლესობა:',
+    'settings.scoring': 'ქულები:',
+    'settings.editRules': 'წესების შეცვლა',
+    'settings.language': 'ენა:',
+    'settings.letterMode': 'ასოს არჩევა:',
+    'settings.letterMode.random': 'შემთხვევითი',
+    'settings.letterMode.host': 'ჰოსტი ირჩევს',
+    'settings.letterMode.vote': 'კენჭისყრა (3 ასო)',
+    'settings.letterWeightingHint': 'რამდენად ხშირად ამოვა რთული ასოები (ჟ, ღ, ჰ...)',
+    'settings.letterWeighting': 'ასოები:',
+    'settings.weighting.uniform': 'თანაბრად',
+    'settings.weighting.easy': 'მხოლოდ მარტივი',
+    'settings.weighting.normal': 'ჩვეულებრივი',
+    'settings.weighting.hard': 'რთული',
+    'settings.excludedLetters': 'გამორიცხული ასოები:',
+    'settings.teams': 'გუნდები:',
+    'settings.teamCount': 'გუნდების რაოდენობა:',
+    'settings.splitCategoriesHint': 'გუნდის წევრები კატეგორიებს ინაწილებენ',
+    'settings.splitCategories': 'კატეგორიების გაყოფა:',
+    'settings.privateHint': 'დახურული ოთახი არ ჩანს ოთახების სიაში',
+    'settings.private': 'დახურული:',
+    'settings.password': 'პაროლი:',
+    'settings.invite': 'მოწვევა:',
+    'settings.inviteSingleUse': 'ერთჯერადი',
+    'settings.inviteSingleUseHint': 'ერთჯერადი ბმული (24 სთ)',
+    'settings.inviteHour': '1 საათი',
+    'settings.inviteHourHint': 'ბმული 1 საათით',
+    'settings.inviteLink': 'მოწვევის ბმული:',
+    'settings.lateAnswers': 'დაგვიანებული პასუხები:',
+    'settings.lateAnswersHint': 'STOP-ის შემდეგ ჩაწერილი პასუხებიც მიიღებენ ქულას',
+
+    'scoring.presets.classic': 'კლასიკური',
+    'scoring.presets.house': 'სახლის წესები',
+    'scoring.presets.strict': 'მკაცრი',
+    'scoring.rules.unique': 'უნიკალური',
+    'scoring.rules.duplicate': 'განმეორებული',
+    'scoring.rules.bonus': 'ბონუს კატეგორია',
+    'scoring.rules.soleAnswer': 'ერთადერთი პასუხი',
+    'scoring.rules.emptyPenalty': 'ცარიელი ველი',
+    'scoring.rules.speedBonus': 'სისწრაფის ბონუსი',
+
+    'categories.title': 'კატეგორიები',
+    'categories.new': 'ახალი კატეგორია...',
+    'categories.reset': 'აღდგენა',
+    'categories.count': '{count} კატეგორია',
+    'categories.nameRequired': '⚠️ შეიყვანეთ კატეგორიის სახელი',
+    'categories.max': '⚠️ მაქსიმუმ {max} კატეგორია',
+    'categories.exists': '⚠️ ეს კატეგორია უკვე არსებობს',
+    'categories.min': '⚠️ მინიმუმ 1 კატეგორია საჭიროა',
+    'categories.restored': '✅ კატეგორიები აღდგა',
+    'categories.rotation': 'ყოველ რაუნდში:',
+    'categories.savePreset': 'შენახვა',
+    'categories.presets': 'ნაკრებები',
+    'categories.presetCode': 'ნაკრები: {code}',
+    'categories.rotationAll': 'ყველა',
+    'categories.rotationCount': '{count} შემთხვევითი',
+
+    'sticks.title': 'ასოს არჩევა...',
+    'sticks.ready': 'მზადაა ასოს არჩევისთვის',
+    'sticks.pressButton': 'დააჭირე ღილაკს',
+    'sticks.voteForLetter': 'ხმა მიეცი ასოს',
+    'sticks.pickLetter': 'აირჩიე ასო',
+    'sticks.waitingForHost': 'ჰოსტი აირჩევს ასოს...',
+    'sticks.drawLetters': 'ასოების გათამაშება',
+    'sticks.drawLetter': 'აირჩიე ასო',
+    'sticks.votes': '{count} ხმა',
+
+    'game.confirmLeave': 'ნამდვილად გსურს გასვლა?',
+    'game.round': 'რაუნდი',
+    'game.teammate': 'თანაგუნდელი',
+    'game.transliterate': 'ლათინურით აკრეფა',
+    'game.transliterateHint': 'ლათინური ასოები აკრეფისას ქართულად გადაიქცევა (ფონეტიკური განლაგება)',
+    'game.keyboard': 'კლავიატურა',
+
+    'results.home': 'მთავარი',
+    'results.title': 'შემოწმება',
+    'results.subtitle': 'შეამოწმეთ თითოეული მოთამაშის პასუხები',
+    'results.hostReviews': 'ჰოსტი აკონტროლებს შემოწმებას',
+    'results.nextRound': 'შემდეგი რაუნდი',
+    'results.status.verified': 'ლექსიკონშია',
+    'results.status.unknown': 'ლექსიკონში ვერ მოიძებნა',
+    'results.status.rejected': 'საეჭვო პასუხი',
+    'results.challengeNotice': 'გაასაჩივრე საეჭვო პასუხი და მიეცი ხმა',
+    'results.finishGame': 'თამაშის დასრულება',
+    'results.challenge': 'გასაჩივრება',
+    'results.category': 'კატეგორია',
+    'results.word': 'სიტყვა',
+    'results.points': 'ქულა',
+    'results.split': 'დაყოფა',
+    'results.late': 'ჩაწერილია STOP-ის შემდეგ',
+    'results.lateVoid': 'ჩაწერილია STOP-ის შემდეგ, ქულა არ ეთვლება',
+
+    'ended.title': 'თამაში დასრულდა!',
+    'ended.newGame': 'ახალი თამაში',
+    'ended.points': '{count} ქულა',
+    'ended.teams': 'გუნდები',
+    'ended.fullRanking': 'სრული რეიტინგი',
+
+    'toast.sessionRestored': '🔄 სესია აღდგენილია!',
+    'toast.roomCreated': '✨ ოთახი შეიქმნა: {code}',
+    'toast.roomJoined': '🎮 შეუერთდი ოთახს: {code}',
+    'toast.spectating': '👁 უყურებ ოთახს: {code}',
+    'toast.promoted': '🎮 ახლა შენც თამაშობ!',
+    'toast.roomClosed': '🚪 ოთახი დაიხურა',
+    'toast.playerJoined': '👋 {nick} შემოვიდა',
+    'toast.playerKicked': '🚫 {nick} გაითიშა',
+    'toast.playerLeft': '👋 {nick} გავიდა',
+    'toast.playerDisconnected': '⚠️ {nick} გათიშულია...',
+    'toast.playerReconnected': '✅ {nick} დაბრუნდა',
+    'toast.kicked': '🚫 გაგაგდეს ოთახიდან',
+    'toast.nowHost': '👑 შენ გახდი ჰოსტი!',
+    'toast.gameStarted': '🎮 თამაში დაიწყო!',
+    'toast.allSubmitted': '✅ ყველამ დაასრულა!',
+    'toast.linkCopied': '🔗 ბმული დაკოპირდა!',
+    'toast.passwordSet': '🔒 პაროლი დაყენდა',
+    'toast.passwordCleared': '🔓 პაროლი მოიხსნა',
+    'toast.codeCopied': '📋 კოდი დაკოპირებულია: {code}',
+    'toast.timeUp': '⏰ დრო ამოიწურა!',
+    'toast.invite': '✉️ შეიყვანე სახელი და შემოუერთდი ოთახს {code}',
+    'toast.presetSaved': '💾 ნაკრები „{name}“ შენახულია, კოდი: {code}',
+    'toast.presetImported': '📚 ჩაიტვირთა ნაკრები „{name}“',
+
+    'room.confirmSpectate': 'გსურს თამაშს უყურო როგორც მაყურებელმა?',
+    'room.enterPassword': 'შეიყვანე ოთახის პაროლი:',
+
+    'vote.restored': '⚖️ {nick} ({category}): აღდგა',
+    'vote.invalidated': '⚖️ {nick} ({category}): გაუქმდა',
+    'vote.unchanged': '⚖️ {nick} ({category}): უცვლელი დარჩა',
+    'vote.restoreQuestion': 'აღდგეს?',
+    'vote.invalidateQuestion': 'გაუქმდეს?',
+
+    'teams.none': 'გუნდის გარეშე',
+    'teams.red': 'წითლები',
+    'teams.blue': 'ლურჯები',
+    'teams.green': 'მწვანეები',
+    'teams.yellow': 'ყვითლები',
+
+    'errors.letters_min_one': 'მინიმუმ ერთი ასო უნდა დარჩეს',
+    'errors.invalid_payload': 'არასწორი მონაცემები',
+    'errors.rate_limited': 'ძალიან ხშირი მოთხოვნები, მოიცადეთ',
+    'errors.server_error': 'სერვერის შეცდომა',
+    'errors.nick_length': 'სახელი უნდა იყოს {min}-{max} სიმბოლო',
+    'errors.room_code_format': 'ოთახის კოდი უნდა იყოს 5 სიმბოლო',
+    'errors.password_length': 'პაროლი მაქს. {max} სიმბოლო',
+    'errors.min_time_range': 'მინიმალური დრო უნდა იყოს {min}-{max} წამი',
+    'errors.max_round_time_range': 'რაუნდის ლიმიტი უნდა იყოს {min}-{max} წამი',
+    'errors.round_time_below_min': 'რაუნდის ლიმიტი მინიმალურ დროზე ({min} წამი) ნაკლები ვერ იქნება',
+    'errors.max_rounds_range': 'რაუნდების რაოდენობა უნდა იყოს {min}-{max}',
+    'errors.vote_threshold_range': 'უმრავლესობა უნდა იყოს {min}-{max}%',
+    'errors.rule_points_range': 'ქულა უნდა იყოს {min}-{max}',
+    'errors.categories_invalid': 'საჭიროა {min}-{max} განსხვავებული კატეგორია (მაქს. {maxLength} სიმბოლო)',
+    'errors.chat_empty': 'ცარიელი შეტყობინება',
+    'errors.room_not_found': 'ოთახი ვერ მოიძებნა',
+    'errors.game_in_progress': 'თამაში უკვე დაწყებულია',
+    'errors.room_full': 'ოთახი სავსეა (მაქს. {max} მოთამაშე)',
+    'errors.wrong_password': 'არასწორი პაროლი',
+    'errors.password_required': 'ოთახი დაცულია პაროლით',
+    'errors.players_not_ready': 'ყველა მოთამაშე მზად არ არის',
+    'errors.letter_excluded': 'ეს ასო გამორიცხულია',
+    'errors.wait_for_timer': 'დაელოდეთ ტაიმერს',
+    'errors.vote_in_progress': 'კენჭისყრა უკვე მიმდინარეობს',
+    'errors.categories_per_round': 'ერთ რაუნდში მაქს. {max} კატეგორია, მეტისთვის ჩართე როტაცია',
+    'errors.preset_name_length': 'ნაკრების სახელი უნდა იყოს {min}-{max} სიმბოლო',
+    'errors.preset_code_format': 'ნაკრების კოდი უნდა იყოს {max} სიმბოლო',
+    'errors.preset_not_found': 'ნაკრები ვერ მოიძებნა',
+    'errors.wrong_phase': 'ეს თამაშის ამ ეტაპზე შეუძლებელია',
+    'errors.queue_in_room': 'ჯერ დატოვე მიმდინარე ოთახი',
+    'errors.daily_full': 'დღევანდელ გამოწვევაში ადგილები აღარ არის',
+    'errors.daily_played': 'დღევანდელი გამოწვევა ამ ქსელიდან უკვე ითამაშეს',
+    'errors.daily_not_started': 'ჯერ დაიწყე დღის გამოწვევა',
+
+    'presets.title': 'კატეგორიების ნაკრებები',
+    'presets.code': 'ნაკრების კოდი',
+    'presets.loading': 'იტვირთება...',
+    'presets.namePrompt': 'ნაკრების სახელი:',
+    'presets.empty': 'ამ ენაზე ნაკრები ჯერ არ არის',
+    'presets.perRound': '{count} რაუნდში',
+    'presets.import': 'იმპორტი',
+    'presets.loadFailed': 'ნაკრებები ვერ ჩაიტვირთა',
+    'presets.codeRequired': '⚠️ შეიყვანე ნაკრების კოდი',
+
+    'quickPlay.title': 'სწრაფი თამაში',
+    'quickPlay.anyRounds': 'ნებისმიერი რაუნდი',
+    'quickPlay.anyBonus': 'ბონუსით ან მის გარეშე',
+    'quickPlay.withBonus': 'ბონუსით',
+    'quickPlay.withoutBonus': 'ბონუსის გარეშე',
+    'quickPlay.searching': 'ვეძებთ თამაშს...',
+    'quickPlay.cancel': 'გაუქმება',
+    'quickPlay.status': 'რიგში ხარ {position}-ე, ელოდება {count} მოთამაშე. ოთახი შეიქმნება {needed} მოთამაშით.',
+
+    'daily.title': 'დღის გამოწვევა',
+    'daily.subtitle': 'დღეს ყველას ერთი ასო და ერთი კატეგორიები აქვს, ითამაშე როცა გინდა',
+    'daily.play': 'თამაში',
+    'daily.rules': 'ერთი ცდა დღეში, დრო შეზღუდულია. დუბლიკატები ყველა მოთამაშის პასუხებთან მოწმდება.',
+    'daily.leaderboard': 'დღის რეიტინგი',
+    'daily.letter': 'ასო: {letter}',
+    'daily.empty': 'ამ დღეს ჯერ არავის უთამაშია',
+    'daily.answersLater': 'პასუხები დღის დასრულების შემდეგ გამოჩნდება',
+    'daily.loadFailed': '❌ რეიტინგის ჩატვირთვა ვერ მოხერხდა'
+};
@@ -2,7 +2,27 @@ const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const dictionary = require('./lib/dictionary');
+const normalize = require('./lib/normalize');
+const persistence = require('./lib/persistence');
+const profiles = require('./lib/profiles');
+const history = require('./lib/history');
+const teams = require('./lib/teams');
+const validation = require('./lib/validation');
+const ratelimit = require('./lib/ratelimit');
+const bots = require('./lib/bots');
+const letters = require('./lib/letters');
+const languages = require('./lib/languages');
+const scoring = require('./lib/scoring');
+const metrics = require('./lib/metrics');
+const admin = require('./lib/admin');
+const avatars = require('./lib/avatars');
+const presets = require('./lib/presets');
+const engine = require('./lib/engine');
+const matchmaking = require('./lib/matchmaking');
+const daily = require('./lib/daily');
 
 const app = express();
 const httpServer = createServer(app);
@@ -18,43 +38,292 @@ const io = new Server(httpServer, {
 // Serve static files from public folder
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Invite links open the app with the room code (and token) filled in
+app.get('/join/:code', (req, res) => {
+    const params = new URLSearchParams({ join: req.params.code.toUpperCase() });
+    if (typeof req.query.t === 'string') params.set('t', req.query.t);
+    res.redirect(`/?${params}`);
+});
+
+// Player avatar drawn from its seed; the same seed never changes, so browsers may keep it
+app.get('/api/avatar/:seed', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.type('image/svg+xml');
+    res.send(avatars.getAvatar(req.params.seed.substring(0, 64)));
+});
+
 // API endpoint to get available public rooms
 app.get('/api/rooms', (req, res) => {
     const publicRooms = [];
     rooms.forEach((room, code) => {
-        // Only show rooms in lobby phase with less than 8 players
-        if (room.gameState.phase === 'lobby' && room.players.size < 8) {
-            const host = Array.from(room.players.values()).find(p => p.isHost);
-            publicRooms.push({
-                code: room.code,
-                hostName: host ? host.nick : 'Unknown',
-                hostAvatar: host ? host.avatarSeed : 'Guest',
-                playerCount: room.players.size,
-                maxPlayers: 8,
-                settings: {
-                    rounds: room.settings.maxRounds,
-                    hasBonus: room.settings.useBonus
-                }
-            });
-        }
+        // Private rooms are only reachable by code or invite link
+        if (room.settings.isPrivate) return;
+        
+        // Open lobbies can be joined, full or running games can still be watched
+        const joinable = room.gameState.phase === 'lobby' && room.players.size < MAX_PLAYERS;
+        const host = Array.from(room.players.values()).find(p => p.isHost);
+        publicRooms.push({
+            code: room.code,
+            hostName: host ? host.nick : 'Unknown',
+            hostAvatar: host ? host.avatarSeed : 'Guest',
+            playerCount: room.players.size,
+            maxPlayers: MAX_PLAYERS,
+            spectatorCount: room.spectators.size,
+            phase: room.gameState.phase,
+            currentRound: room.gameState.currentRound,
+            joinable,
+            watchable: !joinable,
+            settings: {
+                rounds: room.settings.maxRounds,
+                hasBonus: room.settings.useBonus
+            }
+        });
     });
     res.json(publicRooms);
 });
 
-// Georgian Alphabet
-const GEORGIAN_ALPHABET = [
-    'ა', 'ბ', 'გ', 'დ', 'ე', 'ვ', 'ზ', 'თ', 'ი', 'კ', 'ლ', 'მ', 'ნ', 'ო', 'პ',
-    'ჟ', 'რ', 'ს', 'ტ', 'უ', 'ფ', 'ქ', 'ღ', 'ყ', 'შ', 'ჩ', 'ც', 'ძ', 'წ', 'ჭ', 'ხ', 'ჯ', 'ჰ'
-];
+// All-time leaderboard built from player profiles
+app.get('/api/leaderboard', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    res.json(profileRegistry.leaderboard(limit));
+});
+
+// Public profile by id
+app.get('/api/profiles/:id', (req, res) => {
+    const profile = profileRegistry.getById(req.params.id);
+    if (!profile) {
+        res.status(404).json({ error: 'Profile not found' });
+        return;
+    }
+    res.json(profile);
+});
+
+// Saved category presets, optionally only those of one language
+app.get('/api/presets', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const language = languages.hasPack(req.query.language) ? req.query.language : null;
+    res.json(presetLibrary.list({ language, limit }));
+});
+
+// A single preset with its full category list, by share code
+app.get('/api/presets/:code', (req, res) => {
+    const preset = presetLibrary.get(req.params.code);
+    if (!preset) {
+        res.status(404).json({ error: 'Preset not found' });
+        return;
+    }
+    res.json(preset);
+});
+
+// Daily challenge leaderboard; the letter, categories and answers only once the day is over
+app.get('/api/daily/:date', (req, res) => {
+    if (!daily.isDateKey(req.params.date)) {
+        res.status(400).json({ error: 'Invalid date' });
+        return;
+    }
+    
+    const language = languages.hasPack(req.query.language) ? req.query.language : languages.DEFAULT_LANGUAGE;
+    res.json(getDailyResults(req.params.date, language, req.params.date < daily.dateKey()));
+});
+
+// Operational metrics in the Prometheus text format
+app.get('/metrics', (req, res) => {
+    let connectedPlayers = 0;
+    let disconnectedCount = 0;
+    let botCount = 0;
+    let spectatorCount = 0;
+    
+    rooms.forEach(room => {
+        room.players.forEach(player => {
+            if (player.isBot) botCount++;
+            else if (player.isConnected) connectedPlayers++;
+            else disconnectedCount++;
+        });
+        spectatorCount += room.spectators.size;
+    });
+    
+    res.type('text/plain; version=0.0.4');
+    res.send(serverMetrics.render({
+        activeRooms: rooms.size,
+        connectedSockets: io.engine.clientsCount,
+        connectedPlayers,
+        disconnectedPlayers: disconnectedCount,
+        bots: botCount,
+        spectators: spectatorCount
+    }));
+});
+
+// Admin page and API, behind ADMIN_PASSWORD (HTTP basic auth)
+const requireAdmin = admin.requireAdmin(process.env.ADMIN_PASSWORD);
+
+app.get('/admin', requireAdmin, (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin', 'index.html'));
+});
+
+// Live rooms with their players' connection states
+app.get('/api/admin/rooms', requireAdmin, (req, res) => {
+    res.json({
+        connectedSockets: io.engine.clientsCount,
+        sessions: playerSessions.size,
+        disconnectedPlayers: disconnectedPlayers.size,
+        rooms: Array.from(rooms.values()).map(room => ({
+            code: room.code,
+            phase: room.gameState.phase,
+            currentRound: room.gameState.currentRound,
+            maxRounds: room.settings.maxRounds,
+            isPrivate: room.settings.isPrivate,
+            hasPassword: !!room.password,
+            spectatorCount: room.spectators.size,
+            players: Array.from(room.players.values()).map(player => {
+                const disconnect = disconnectedPlayers.get(player.id);
+                return {
+                    id: player.id,
+                    nick: player.nick,
+                    isHost: player.isHost,
+                    isBot: !!player.isBot,
+                    isConnected: player.isConnected,
+                    disconnectedAt: disconnect ? disconnect.disconnectedAt : null,
+                    totalScore: player.totalScore
+                };
+            })
+        }))
+    });
+});
+
+app.post('/api/admin/rooms/:code/close', requireAdmin, (req, res) => {
+    const room = rooms.get(req.params.code.toUpperCase());
+    if (!room) {
+        res.status(404).json({ error: 'Room not found' });
+        return;
+    }
+    
+    closeRoom(room);
+    console.log(`Room ${room.code} closed by admin`);
+    res.json({ ok: true });
+});
+
+app.post('/api/admin/rooms/:code/players/:playerId/kick', requireAdmin, (req, res) => {
+    const room = rooms.get(req.params.code.toUpperCase());
+    const player = room ? room.players.get(req.params.playerId) : null;
+    if (!player) {
+        res.status(404).json({ error: 'Player not found' });
+        return;
+    }
+    
+    kickPlayer(room, player);
+    console.log(`Player ${player.nick} kicked from room ${room.code} by admin`);
+    res.json({ ok: true });
+});
+
+// Maintenance notice shown to every connected client
+app.post('/api/admin/broadcast', requireAdmin, express.json(), (req, res) => {
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+    if (!message || message.length > 200) {
+        res.status(400).json({ error: 'Message must be 1-200 characters' });
+        return;
+    }
+    
+    io.emit('server:notice', { message });
+    console.log(`Admin notice: ${message}`);
+    res.json({ ok: true });
+});
+
+// Full round-by-round log of a game, as JSON or CSV
+app.get('/api/games/:id', (req, res) => {
+    const game = gameHistory.get(req.params.id);
+    if (!game) {
+        res.status(404).json({ error: 'Game not found' });
+        return;
+    }
+    
+    const format = req.query.format;
+    if (format === 'csv') {
+        res.attachment(`kalakobana-${game.id}.csv`);
+        res.type('text/csv; charset=utf-8');
+        res.send(history.toCSV(game));
+    } else if (format === 'json') {
+        res.attachment(`kalakobana-${game.id}.json`);
+        res.send(JSON.stringify(game, null, 2));
+    } else {
+        res.json(game);
+    }
+});
 
-const BONUS_CATEGORIES = ['ბრენდი', 'ფერი', 'ნივთი', 'მუსიკა', 'ფილმი', 'საჭმელი', 'სპორტი', 'პროფესია'];
+// Alphabets, categories and letter rules rooms can play with
+languages.loadLanguagePacks();
 
-const DEFAULT_CATEGORIES = ['ქალაქი', 'სოფელი', 'სახელი', 'გვარი', 'ცხოველი', 'ფრინველი', 'მცენარე'];
+// Word lists used to verify answers
+dictionary.loadDictionaries();
 
 // Game state storage
 const rooms = new Map();
 const playerSessions = new Map(); // Maps sessionId -> { roomCode, playerId }
-const disconnectedPlayers = new Map(); // Maps playerId -> { roomCode, timeout, playerData }
+const disconnectedPlayers = new Map(); // Maps playerId -> { roomCode, timeout, disconnectedAt, playerData }
+
+const roomTimers = engine.createTimers(); // Round clocks, countdowns and bot actions per room (see lib/engine.js)
+const quickPlayQueue = matchmaking.createQueue(); // Sockets waiting for a quick play room
+
+const MAX_PLAYERS = 8;
+const RECONNECT_WINDOW_MS = 120000; // 2 minutes reconnection window
+const STOP_COUNTDOWN = 5; // Seconds of grace after STOP is pressed
+const LATE_ANSWER_TOLERANCE_MS = 1000; // Changes this soon after STOP were still typed before it (debounce, latency)
+const MIN_INDEPENDENT_VOTERS = 2; // Below this many other voters a challenger's own vote counts
+const LETTER_VOTE_SECONDS = 10; // How long players get to vote for the round letter
+const GAME_END_RESET_MS = 10000; // Delay before an ended game returns to the lobby
+const MAX_CHAT_HISTORY = 50; // Messages kept per room for players who reconnect
+const INVITE_TTL_MS = 60 * 60 * 1000; // Reusable invite links last an hour
+const SINGLE_USE_INVITE_TTL_MS = 24 * 60 * 60 * 1000; // One-time links last a day or until used
+
+// Snapshot storage (file by default, PERSISTENCE=memory to disable)
+const store = persistence.createStore({
+    type: process.env.PERSISTENCE || 'file',
+    file: process.env.STATE_FILE || path.join(__dirname, 'storage', 'state.json')
+});
+const PERSIST_INTERVAL_MS = parseInt(process.env.PERSIST_INTERVAL_MS) || 5000;
+
+// Quick play: how many waiting players get a room of their own, and how long a matched lobby waits for its host
+const QUICK_PLAY_MIN_PLAYERS = Math.max(1, parseInt(process.env.QUICK_PLAY_MIN_PLAYERS) || 2);
+const QUICK_PLAY_AUTOSTART_MS = (parseInt(process.env.QUICK_PLAY_AUTOSTART_SECONDS) || 60) * 1000;
+const QUICK_PLAY_AUTODRAW_MS = 10000; // Games that started by themselves draw the letter when the host doesn't
+// Behind a reverse proxy every socket comes from the proxy, TRUST_PROXY=1 takes the client from X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+const QUICK_PLAY_SWEEP_MS = 5000; // Waiting players are matched again this often, lobbies open up over time
+
+// All-time player profiles, stored next to the room snapshots
+const profileRegistry = profiles.createProfileRegistry(persistence.createStore({
+    type: process.env.PERSISTENCE || 'file',
+    file: process.env.PROFILES_FILE || path.join(__dirname, 'storage', 'profiles.json')
+}));
+profileRegistry.load();
+
+// Per-game round logs for /api/games/:id
+const serverMetrics = metrics.createMetrics();
+
+const gameHistory = history.createGameHistory(persistence.createStore({
+    type: process.env.PERSISTENCE || 'file',
+    file: process.env.HISTORY_FILE || path.join(__dirname, 'storage', 'history.json')
+}));
+gameHistory.load();
+
+// Category presets hosts saved for other rooms
+const presetLibrary = presets.createPresetLibrary(persistence.createStore({
+    type: process.env.PERSISTENCE || 'file',
+    file: process.env.PRESETS_FILE || path.join(__dirname, 'storage', 'presets.json')
+}));
+presetLibrary.load();
+
+// Daily challenge attempts, per day and language
+const dailyChallenges = daily.createDailyChallenges(persistence.createStore({
+    type: process.env.PERSISTENCE || 'file',
+    file: process.env.DAILY_FILE || path.join(__dirname, 'storage', 'daily.json')
+}));
+dailyChallenges.load();
+
+// Network address a socket connected from
+function clientAddress(socket) {
+    const forwarded = TRUST_PROXY && socket.handshake.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+}
 
 // Generate unique room code
 function generateRoomCode() {
@@ -78,22 +347,56 @@ function createRoom(hostId, hostData) {
         code: roomCode,
         hostId: hostId,
         players: new Map(),
+        spectators: new Map(), // Read-only watchers, never part of the game itself
+        chat: [], // Recent chat messages, oldest first
+        password: null, // { salt, hash } when the host set a room password
+        invites: new Map(), // token -> { expiresAt, singleUse }
         settings: {
             minTime: 15,
+            maxRoundTime: 0, // Hard round limit in seconds, 0 = no limit
             maxRounds: 5,
             useBonus: false,
-            categories: [...DEFAULT_CATEGORIES]
+            scoreUnknown: true, // Whether answers missing from the dictionaries still score
+            scoreLateAnswers: true, // Whether answers filled in during the STOP countdown still score
+            duplicateMatching: 'fuzzy', // exact, fuzzy or loose (see lib/normalize.js)
+            reviewMode: 'host', // host (host toggles answers) or vote (players challenge and vote)
+            voteThreshold: 50, // Percentage of eligible voters that must agree
+            voteTimeout: 20, // Seconds before an open vote is closed
+            teamMode: false, // Score per team instead of per player
+            teamCount: 2,
+            splitCategories: false, // Team members each answer only their share of categories
+            isPrivate: false, // Hidden from /api/rooms
+            letterMode: 'random', // random, host (host picks) or vote (players vote between three)
+            letterWeighting: 'normal', // uniform, easy, normal or hard (see lib/letters.js)
+            excludedLetters: [], // Letters never drawn or offered
+            scoringPreset: 'classic', // Named rule set (see lib/scoring.js)
+            scoringRules: {}, // Room overrides on top of the preset: rule -> points
+            language: languages.DEFAULT_LANGUAGE, // Language pack id (see data/languages)
+            categories: [...languages.getPack(languages.DEFAULT_LANGUAGE).defaultCategories],
+            categoryRotation: 0, // Categories drawn from the list each round, 0 = play the whole list
+            categoryPreset: null // Share code of the preset the categories came from, until edited
         },
         gameState: {
-            phase: 'lobby', // lobby, sticks, playing, stopped, results
+            phase: 'lobby', // lobby, sticks, playing, stopped, results, ended
+            gameId: null, // Log id in the game history
             currentRound: 0,
             currentLetter: '',
             usedLetters: new Set(),
             activeCategories: {},
             roundStartTime: null,
+            stoppedAt: null,
+            endedAt: null,
             stoppedBy: null,
+            stoppedById: null,
+            autoStartAt: null, // When a lobby quick play filled starts by itself
+            autoPlay: false, // Game started by itself, letters are drawn without waiting for the host
             timerEnabled: false,
-            allAnswersSubmitted: false
+            allAnswersSubmitted: false,
+            categoryAssignments: null, // Team mode with split categories: playerId -> [category keys]
+            letterVote: null, // { candidates, ballots: { playerId: letter }, expiresAt } while players pick a letter
+            splitAnswers: new Set(), // "playerId:category" answers the host split out of a duplicate group
+            reactions: {}, // "playerId:category" -> { emoji: [playerIds] } for the round under review
+            votes: new Map() // "playerId:category" -> open challenge vote
         }
     };
     
@@ -109,13 +412,75 @@ function createRoom(hostId, hostData) {
         answers: {},
         roundScore: 0,
         totalScore: 0,
-        hasSubmitted: false
+        hasSubmitted: false,
+        teamId: null
     });
     
     rooms.set(roomCode, room);
     return room;
 }
 
+// Seat a new player in a lobby
+function addPlayer(room, playerId, { nick, avatarSeed, socketId, sessionId }) {
+    const player = {
+        id: playerId,
+        nick,
+        avatarSeed,
+        isHost: false,
+        isReady: false,
+        isConnected: true,
+        socketId,
+        sessionId,
+        answers: {},
+        roundScore: 0,
+        totalScore: 0,
+        hasSubmitted: false,
+        teamId: null
+    };
+    room.players.set(playerId, player);
+    return player;
+}
+
+// Merge validated settings into a lobby room
+// Returns an error for game:error, or null once the settings are applied
+function applySettings(room, settings) {
+    const pack = languages.getPack(settings.language || room.settings.language);
+    
+    // Another language brings its own alphabet and categories, the old letters and names make no sense
+    if (settings.language && settings.language !== room.settings.language) {
+        if (!settings.categories) {
+            settings.categories = [...pack.defaultCategories];
+            settings.categoryPreset = null;
+        }
+        if (!settings.excludedLetters) settings.excludedLetters = [];
+    }
+    
+    if (settings.excludedLetters) {
+        settings.excludedLetters = settings.excludedLetters.filter(letter => pack.alphabet.includes(letter));
+        if (settings.excludedLetters.length >= pack.alphabet.length) {
+            return { code: 'letters_min_one' };
+        }
+    }
+    
+    // A time limit below the minimum would end the round before STOP is ever allowed (0 = no limit)
+    const minTime = settings.minTime !== undefined ? settings.minTime : room.settings.minTime;
+    const maxRoundTime = settings.maxRoundTime !== undefined ? settings.maxRoundTime : room.settings.maxRoundTime;
+    if (maxRoundTime > 0 && maxRoundTime < minTime) {
+        return { code: 'round_time_below_min', params: { min: minTime } };
+    }
+    
+    // Longer lists are only allowed as a pool that rounds draw from
+    const categories = settings.categories || room.settings.categories;
+    const rotation = settings.categoryRotation !== undefined ? settings.categoryRotation : room.settings.categoryRotation;
+    if (presets.roundCategoryCount(categories, rotation) > presets.MAX_ROUND_CATEGORIES) {
+        return { code: 'categories_per_round', params: { max: presets.MAX_ROUND_CATEGORIES } };
+    }
+    
+    // Only validated keys ever reach the room settings
+    room.settings = { ...room.settings, ...settings };
+    return null;
+}
+
 // Get room data for clients
 function getRoomData(room) {
     const players = [];
@@ -128,164 +493,1165 @@ function getRoomData(room) {
             isReady: player.isReady,
             isConnected: player.isConnected,
             roundScore: player.roundScore,
-            totalScore: player.totalScore
+            totalScore: player.totalScore,
+            teamId: player.teamId,
+            isBot: !!player.isBot,
+            difficulty: player.difficulty || null
         });
     });
     
+    const spectators = Array.from(room.spectators.values()).map(spectator => ({
+        id: spectator.id,
+        nick: spectator.nick,
+        avatarSeed: spectator.avatarSeed,
+        queued: spectator.queued
+    }));
+    
     return {
         code: room.code,
         hostId: room.hostId,
         players: players,
+        spectators: spectators,
+        teams: teams.getTeams(room.settings.teamCount),
+        hasPassword: !!room.password,
         settings: room.settings,
+        scoring: scoring.resolveRules(room.settings),
+        language: getLanguageData(room),
+        languages: languages.listPacks(),
         gameState: {
             phase: room.gameState.phase,
             currentRound: room.gameState.currentRound,
             currentLetter: room.gameState.currentLetter,
             activeCategories: room.gameState.activeCategories,
             stoppedBy: room.gameState.stoppedBy,
-            timerEnabled: room.gameState.timerEnabled
+            timerEnabled: room.gameState.timerEnabled,
+            categoryAssignments: room.gameState.categoryAssignments,
+            letterVote: getLetterVoteData(room),
+            clock: room.gameState.phase === 'playing' ? getRoundClock(room) : null,
+            autoStartAt: room.gameState.autoStartAt
+        }
+    };
+}
+
+// Room passwords are stored as salted scrypt hashes only
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    return { salt, hash: crypto.scryptSync(password, salt, 32).toString('hex') };
+}
+
+function checkPassword(room, password) {
+    if (!room.password) return true;
+    if (!password) return false;
+    
+    const { hash } = hashPassword(password, room.password.salt);
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(room.password.hash, 'hex'));
+}
+
+// A valid invite token lets its holder skip the password; one-time tokens are used up
+function redeemInvite(room, token) {
+    const invite = room.invites.get(token);
+    if (!invite) return false;
+    
+    if (invite.expiresAt <= Date.now() || invite.singleUse) {
+        room.invites.delete(token);
+    }
+    return invite.expiresAt > Date.now();
+}
+
+// Returns an error code, or null when the caller may enter the room
+function checkRoomAccess(room, { password, inviteToken }) {
+    if (inviteToken && redeemInvite(room, inviteToken)) return null;
+    if (checkPassword(room, password)) return null;
+    return password ? 'wrong_password' : 'password_required';
+}
+
+// Check if all players are ready
+function allPlayersReady(room) {
+    let allReady = true;
+    room.players.forEach(player => {
+        if (player.isConnected && !player.isReady) {
+            allReady = false;
+        }
+    });
+    return allReady && room.players.size >= 1;
+}
+
+// Language pack details clients need for letter grids and category resets
+function getLanguageData(room) {
+    const pack = languages.getPack(room.settings.language);
+    return {
+        id: pack.id,
+        name: pack.name,
+        alphabet: pack.alphabet,
+        defaultCategories: pack.defaultCategories,
+        keyboard: pack.keyboard
+    };
+}
+
+// Move a room to its next phase; timers the old phase scheduled are cancelled
+// Out-of-order changes are bugs, the socket handlers reject out-of-order events before they get here
+function setPhase(room, phase) {
+    if (!engine.canTransition(room.gameState.phase, phase)) {
+        throw new Error(`Illegal phase change ${room.gameState.phase} -> ${phase} in room ${room.code}`);
+    }
+    
+    room.gameState.phase = phase;
+    roomTimers.enterPhase(room.code, phase);
+}
+
+// Select a random letter using the room's weighting and exclusions
+function selectRandomLetter(room) {
+    const pack = languages.getPack(room.settings.language);
+    return letters.drawLetters(pack, room.settings, room.gameState.usedLetters)[0];
+}
+
+// Play the sticks animation for the chosen letter, then start the round
+function revealLetter(room, letter) {
+    room.gameState.currentLetter = letter;
+    room.gameState.usedLetters.add(letter);
+    
+    io.to(room.code).emit('sticks:drawing', { duration: 2000 });
+    
+    roomTimers.set(room.code, 'reveal', 2000, () => {
+        io.to(room.code).emit('sticks:result', { letter });
+        
+        // Start round after showing letter
+        roomTimers.set(room.code, 'reveal', 1500, () => startRound(room));
+    });
+}
+
+// Letter vote state for clients: candidates with their vote counts
+function getLetterVoteData(room) {
+    const vote = room.gameState.letterVote;
+    if (!vote) return null;
+    
+    const counts = Object.fromEntries(vote.candidates.map(letter => [letter, 0]));
+    Object.values(vote.ballots).forEach(letter => counts[letter]++);
+    
+    return {
+        candidates: vote.candidates,
+        counts,
+        voters: Object.keys(vote.ballots),
+        expiresAt: vote.expiresAt
+    };
+}
+
+// Offer three drawn letters to the players
+function startLetterVote(room) {
+    const pack = languages.getPack(room.settings.language);
+    room.gameState.letterVote = {
+        candidates: letters.drawLetters(pack, room.settings, room.gameState.usedLetters, 3),
+        ballots: {},
+        expiresAt: Date.now() + LETTER_VOTE_SECONDS * 1000
+    };
+    
+    armLetterVoteTimer(room, LETTER_VOTE_SECONDS * 1000);
+    io.to(room.code).emit('letter:vote', getLetterVoteData(room));
+}
+
+function armLetterVoteTimer(room, delay) {
+    roomTimers.set(room.code, 'letterVote', delay, () => resolveLetterVote(room));
+}
+
+function clearLetterVote(room) {
+    roomTimers.clear(room.code, 'letterVote');
+    room.gameState.letterVote = null;
+}
+
+// Most votes wins, ties (and no votes at all) are decided by chance
+function resolveLetterVote(room) {
+    const data = getLetterVoteData(room);
+    clearLetterVote(room);
+    if (!data) return;
+    
+    const best = Math.max(...Object.values(data.counts));
+    const winners = data.candidates.filter(letter => data.counts[letter] === best);
+    revealLetter(room, winners[Math.floor(Math.random() * winners.length)]);
+}
+
+// Close the vote early once every connected player has voted (bots do not vote)
+function tallyLetterVote(room) {
+    const voters = humanPlayers(room).filter(player => player.isConnected);
+    const ballots = room.gameState.letterVote.ballots;
+    
+    if (voters.every(player => ballots[player.id])) {
+        resolveLetterVote(room);
+    } else {
+        io.to(room.code).emit('letter:vote', getLetterVoteData(room));
+    }
+}
+
+// Setup categories for round
+function setupCategories(room) {
+    const categories = {};
+    const pack = languages.getPack(room.settings.language);
+    
+    // Use custom categories from room settings, or the pack's defaults if not set
+    // With rotation every round plays a fresh draw from the list
+    const previous = Object.entries(room.gameState.activeCategories)
+        .filter(([key]) => key !== 'bonus')
+        .map(([, name]) => name);
+    const categoryList = presets.rotateCategories(
+        room.settings.categories || pack.defaultCategories,
+        room.settings.categoryRotation,
+        previous
+    );
+    
+    // Convert array to object with keys
+    categoryList.forEach((catName, index) => {
+        categories[`cat_${index}`] = catName;
+    });
+    
+    // Add random bonus category if enabled
+    if (room.settings.useBonus && pack.bonusCategories.length > 0) {
+        const randomBonus = pack.bonusCategories[Math.floor(Math.random() * pack.bonusCategories.length)];
+        categories['bonus'] = randomBonus;
+    }
+    
+    room.gameState.activeCategories = categories;
+    return categories;
+}
+
+// Whether an answer was filled in or changed during the STOP countdown
+function isLateAnswer(room, player, cat) {
+    const { stoppedAt } = room.gameState;
+    const changedAt = player.answerTimes && player.answerTimes[cat];
+    return !!stoppedAt && !!changedAt && changedAt > stoppedAt + LATE_ANSWER_TOLERANCE_MS;
+}
+
+// Score a single category for every player
+// Each score names the rule that produced its points (see lib/scoring.js)
+function scoreCategory(room, cat, players) {
+    const rules = scoring.resolveRules(room.settings);
+    const pack = languages.getPack(room.settings.language);
+    const assignments = room.gameState.categoryAssignments;
+    const scores = new Map();
+    const groupable = [];
+    
+    players.forEach(player => {
+        const answer = (player.answers[cat] || '').trim().toLowerCase();
+        const late = answer.length > 0 && isLateAnswer(room, player, cat);
+        let isValid = false;
+        let status = null;
+        
+        if (answer.length > 0) {
+            status = dictionary.checkAnswer(room.gameState.activeCategories[cat], answer, room.gameState.currentLetter, pack);
+            isValid = status === dictionary.ANSWER_STATUS.VERIFIED ||
+                (status === dictionary.ANSWER_STATUS.UNKNOWN && room.settings.scoreUnknown);
+        }
+        
+        const score = {
+            points: 0,
+            rule: scoring.NO_POINTS,
+            isValid,
+            status,
+            late,
+            answer: player.answers[cat] || '',
+            groupedWith: []
+        };
+        scores.set(player.id, score);
+        
+        // Rooms that do not count late answers treat them like no answer at all
+        if (late && room.settings.scoreLateAnswers === false) {
+            score.isValid = false;
+            score.rule = scoring.LATE;
+            return;
+        }
+        
+        // Empty fields cost points, but only the ones the player had to fill
+        if (answer.length === 0) {
+            const assigned = !assignments || !assignments[player.id] || assignments[player.id].includes(cat);
+            if (assigned && rules.emptyPenalty > 0) {
+                score.points = -rules.emptyPenalty;
+                score.rule = 'emptyPenalty';
+            }
+            return;
+        }
+        
+        if (!isValid) return;
+        
+        // Bonus category has no duplicate penalty
+        if (cat === 'bonus') {
+            score.points = rules.bonus;
+            score.rule = 'bonus';
+        } else if (room.gameState.splitAnswers.has(`${player.id}:${cat}`)) {
+            score.points = rules.unique; // Host ruled it unique
+            score.rule = 'unique';
+        } else {
+            groupable.push({ id: player.id, answer });
+        }
+    });
+    
+    // In team mode teammates never cost each other points
+    const teamOf = new Map(players.map(player => [player.id, room.settings.teamMode ? player.teamId : player.id]));
+    const validCount = Array.from(scores.values()).filter(score => score.isValid).length;
+    
+    // Duplicates (spelling variants, transliteration, case endings) get the duplicate points each
+    normalize.groupAnswers(groupable, room.settings.duplicateMatching, pack).forEach(group => {
+        const isDuplicate = new Set(group.map(id => teamOf.get(id))).size > 1;
+        const rule = scoring.groupRule(rules, isDuplicate, validCount);
+        group.forEach(playerId => {
+            const score = scores.get(playerId);
+            score.points = rules[rule];
+            score.rule = rule;
+            score.groupedWith = group.filter(id => id !== playerId);
+        });
+    });
+    
+    return scores;
+}
+
+// Speed bonus for whoever pressed STOP with every one of their fields valid
+function speedBonusFor(room, player, rules) {
+    if (rules.speedBonus <= 0 || player.id !== room.gameState.stoppedById) return 0;
+    
+    const assigned = room.gameState.categoryAssignments && room.gameState.categoryAssignments[player.id];
+    const own = assigned || Object.keys(room.gameState.activeCategories);
+    return own.every(cat => player.categoryScores[cat].isValid) ? rules.speedBonus : 0;
+}
+
+// Calculate scores for all players
+function calculateScores(room) {
+    const players = Array.from(room.players.values());
+    const categories = Object.keys(room.gameState.activeCategories);
+    
+    players.forEach(player => {
+        player.roundScore = 0;
+        player.categoryScores = {};
+    });
+    
+    categories.forEach(cat => {
+        const scores = scoreCategory(room, cat, players);
+        
+        players.forEach(player => {
+            const score = scores.get(player.id);
+            player.categoryScores[cat] = score;
+            player.roundScore += score.points;
+        });
+    });
+    
+    const rules = scoring.resolveRules(room.settings);
+    players.forEach(player => {
+        player.speedBonus = speedBonusFor(room, player, rules);
+        player.roundScore += player.speedBonus;
+        player.totalScore += player.roundScore;
+    });
+}
+
+// Re-score one category after the host changed its duplicate groups
+// Returns the updated score payload for every affected player
+function rescoreCategory(room, cat) {
+    const players = Array.from(room.players.values()).filter(p => p.categoryScores && p.categoryScores[cat]);
+    const scores = scoreCategory(room, cat, players);
+    
+    return players.map(player => {
+        const previous = player.categoryScores[cat];
+        const next = scores.get(player.id);
+        
+        if (previous.invalidatedBy) {
+            // Invalidated answers already had their points removed
+            next.invalidatedBy = previous.invalidatedBy;
+        } else {
+            player.roundScore += next.points - previous.points;
+            player.totalScore += next.points - previous.points;
+        }
+        player.categoryScores[cat] = next;
+        
+        return {
+            targetPlayerId: player.id,
+            categoryScores: player.categoryScores,
+            roundScore: player.roundScore,
+            totalScore: player.totalScore
+        };
+    });
+}
+
+// Add the reviewed round to every player's per-game stats
+function recordRoundStats(room) {
+    room.players.forEach(player => {
+        if (!player.categoryScores) return;
+        
+        const stats = player.stats || (player.stats = profiles.createPlayerStats());
+        stats.rounds++;
+        stats.points += player.roundScore;
+        
+        Object.entries(room.gameState.activeCategories).forEach(([cat, name]) => {
+            const score = player.categoryScores[cat];
+            if (!score) return;
+            
+            const category = stats.categories[name] || { points: 0, rounds: 0 };
+            category.points += score.invalidatedBy ? 0 : score.points;
+            category.rounds++;
+            stats.categories[name] = category;
+            
+            const word = score.answer.trim().toLowerCase();
+            if (word) {
+                stats.words[word] = (stats.words[word] || 0) + 1;
+            }
+        });
+    });
+}
+
+// Get all answers for results
+function getAllAnswers(room) {
+    const results = [];
+    room.players.forEach(player => {
+        results.push({
+            id: player.id,
+            nick: player.nick,
+            avatarSeed: player.avatarSeed,
+            isHost: player.isHost,
+            isBot: !!player.isBot,
+            teamId: player.teamId,
+            answers: player.answers,
+            categoryScores: player.categoryScores,
+            speedBonus: player.speedBonus || 0,
+            roundScore: player.roundScore,
+            totalScore: player.totalScore
+        });
+    });
+    return results;
+}
+
+// Toggle an answer between valid and invalidated, keeping scores in sync
+function toggleAnswerValidity(room, targetPlayer, category, invalidatedBy) {
+    if (!targetPlayer.categoryScores || !targetPlayer.categoryScores[category]) return;
+    
+    const score = targetPlayer.categoryScores[category];
+    if (score.rule === 'emptyPenalty') return; // Nothing to judge, the penalty stays
+    
+    if (score.invalidatedBy) {
+        // Re-validate
+        delete score.invalidatedBy;
+        targetPlayer.roundScore += score.points;
+        targetPlayer.totalScore += score.points;
+    } else {
+        // Invalidate
+        score.invalidatedBy = invalidatedBy;
+        targetPlayer.roundScore -= score.points;
+        targetPlayer.totalScore -= score.points;
+    }
+    
+    io.to(room.code).emit('answer:toggled', {
+        targetPlayerId: targetPlayer.id,
+        category,
+        categoryScores: targetPlayer.categoryScores,
+        roundScore: targetPlayer.roundScore,
+        totalScore: targetPlayer.totalScore
+    });
+}
+
+// Get vote data for clients
+function getVoteData(vote) {
+    let votesFor = 0;
+    let votesAgainst = 0;
+    vote.ballots.forEach(ballot => {
+        if (ballot) votesFor++;
+        else votesAgainst++;
+    });
+    
+    return {
+        targetPlayerId: vote.targetPlayerId,
+        category: vote.category,
+        action: vote.action,
+        challengedBy: vote.challengedBy,
+        votesFor,
+        votesAgainst,
+        eligible: vote.eligible.size,
+        voters: Array.from(new Set([vote.challengerId, ...vote.ballots.keys()])),
+        expiresAt: vote.expiresAt
+    };
+}
+
+// Open a challenge vote on one answer (vote review mode)
+function startVote(room, challenger, targetPlayer, category) {
+    const key = `${targetPlayer.id}:${category}`;
+    const score = targetPlayer.categoryScores[category];
+    
+    // Everyone connected except the player whose answer is on trial and the challenger (bots never vote)
+    const eligible = new Set();
+    room.players.forEach(player => {
+        if (player.isConnected && !player.isBot && player.id !== targetPlayer.id && player.id !== challenger.id) {
+            eligible.add(player.id);
+        }
+    });
+    
+    // In small rooms the others alone can't outvote anyone, the challenger's yes counts there too
+    const ballots = new Map();
+    if (eligible.size < MIN_INDEPENDENT_VOTERS) {
+        eligible.add(challenger.id);
+        ballots.set(challenger.id, true);
+    }
+    
+    const vote = {
+        targetPlayerId: targetPlayer.id,
+        category,
+        action: score.invalidatedBy ? 'restore' : 'invalidate',
+        challengedBy: challenger.nick,
+        challengerId: challenger.id,
+        eligible,
+        ballots,
+        expiresAt: Date.now() + room.settings.voteTimeout * 1000
+    };
+    
+    // Votes resolved early leave their timer behind, it must not end a later vote on the same answer
+    roomTimers.add(room.code, 'votes', room.settings.voteTimeout * 1000, () => {
+        if (room.gameState.votes.get(key) === vote) resolveVote(room, key, true);
+    });
+    
+    room.gameState.votes.set(key, vote);
+    tallyVote(room, key);
+}
+
+// A challenge passes with more yes votes than this
+function requiredVotes(room, data) {
+    return (data.eligible * room.settings.voteThreshold) / 100;
+}
+
+// Resolve the vote early once the outcome can no longer change
+function tallyVote(room, key) {
+    const vote = room.gameState.votes.get(key);
+    if (!vote) return;
+    
+    const data = getVoteData(vote);
+    const required = requiredVotes(room, data);
+    const outstanding = data.eligible - data.votesFor - data.votesAgainst;
+    
+    if (data.votesFor > required || data.votesFor + outstanding <= required) {
+        resolveVote(room, key, false);
+    } else {
+        io.to(room.code).emit('vote:update', data);
+    }
+}
+
+function resolveVote(room, key, timedOut) {
+    const vote = room.gameState.votes.get(key);
+    if (!vote) return;
+    
+    room.gameState.votes.delete(key);
+    
+    const data = getVoteData(vote);
+    const passed = data.votesFor > 0 && data.votesFor > requiredVotes(room, data);
+    
+    io.to(room.code).emit('vote:resolved', { ...data, passed, timedOut });
+    
+    const targetPlayer = room.players.get(vote.targetPlayerId);
+    if (passed && targetPlayer && room.gameState.phase === 'results') {
+        toggleAnswerValidity(room, targetPlayer, vote.category, 'vote');
+    }
+}
+
+// Drop any open votes, e.g. when leaving the results phase
+function clearVotes(room) {
+    roomTimers.clear(room.code, 'votes');
+    room.gameState.votes.clear();
+}
+
+// Enable the STOP button after the given delay
+function armStopTimer(room, delay) {
+    roomTimers.set(room.code, 'stopEnable', delay, () => {
+        room.gameState.timerEnabled = true;
+        io.to(room.code).emit('stop:enabled');
+    });
+}
+
+// Current state of the server-side round clock (all values in seconds)
+function getRoundClock(room) {
+    const elapsed = Math.floor((Date.now() - room.gameState.roundStartTime) / 1000);
+    const limit = room.settings.maxRoundTime;
+    
+    return {
+        elapsed,
+        remaining: limit > 0 ? Math.max(0, limit - elapsed) : null,
+        stopIn: Math.max(0, room.settings.minTime - elapsed)
+    };
+}
+
+// Tick once a second while the round is being played, the clock stops with the playing phase
+function startRoundClock(room) {
+    roomTimers.every(room.code, 'roundClock', 1000, () => tickRoundClock(room));
+}
+
+function tickRoundClock(room) {
+    const clock = getRoundClock(room);
+    io.to(room.code).emit('round:tick', clock);
+    
+    // Hard time limit reached - nobody pressed STOP in time
+    if (clock.remaining === 0) {
+        console.log(`Round ${room.gameState.currentRound} in room ${room.code} ran out of time`);
+        endRound(room);
+    }
+}
+
+// Store a player's latest answers (humans and bots alike)
+// Every changed field is timestamped, nothing is taken once the STOP countdown is over
+function submitAnswers(room, player, answers) {
+    const now = Date.now();
+    const { gameState } = room;
+    
+    if (gameState.phase === 'stopped' && now > gameState.stoppedAt + STOP_COUNTDOWN * 1000) {
+        console.log(`Late answers from ${player.nick} in room ${room.code} ignored (${now - gameState.stoppedAt} ms after STOP)`);
+        return;
+    }
+    
+    // With split categories only the player's own share counts
+    const assigned = gameState.categoryAssignments && gameState.categoryAssignments[player.id];
+    if (assigned) {
+        answers = Object.fromEntries(Object.entries(answers).filter(([cat]) => assigned.includes(cat)));
+    }
+    
+    // Latin typed without the client's input helper, converted like the helper would have
+    const pack = languages.getPack(room.settings.language);
+    answers = Object.fromEntries(Object.entries(answers).map(([cat, answer]) => [cat, normalize.applyKeyboardLayout(answer, pack)]));
+    
+    const answerTimes = player.answerTimes || (player.answerTimes = {});
+    Object.entries(answers).forEach(([cat, answer]) => {
+        if (answer !== (player.answers[cat] || '')) answerTimes[cat] = now;
+    });
+    
+    const wasSubmitted = player.hasSubmitted;
+    player.answers = answers;
+    player.hasSubmitted = true;
+    
+    // Only emit player:submitted once (first time)
+    if (!wasSubmitted) {
+        io.to(room.code).emit('player:submitted', { playerId: player.id });
+    }
+    
+    // Check if all connected players have submitted (only if not already marked)
+    if (!room.gameState.allAnswersSubmitted) {
+        let allSubmitted = true;
+        room.players.forEach(p => {
+            if (p.isConnected && !p.hasSubmitted) {
+                allSubmitted = false;
+            }
+        });
+        
+        if (allSubmitted) {
+            room.gameState.allAnswersSubmitted = true;
+            io.to(room.code).emit('all:submitted');
+        }
+    }
+}
+
+// STOP pressed: give everyone a few seconds for final answers, then score
+function stopRound(room, player) {
+    // Read the player before the phase changes, a failure must not leave the room stopped without a countdown
+    const { nick, id } = player;
+    setPhase(room, 'stopped');
+    room.gameState.stoppedBy = nick;
+    room.gameState.stoppedById = id;
+    room.gameState.stoppedAt = Date.now();
+    
+    io.to(room.code).emit('round:stopped', { 
+        stoppedBy: nick,
+        countdown: STOP_COUNTDOWN
+    });
+    
+    // Give 5 seconds for final answers
+    roomTimers.set(room.code, 'stopCountdown', STOP_COUNTDOWN * 1000, () => endRound(room));
+    
+    console.log(`Round stopped by ${nick}`);
+}
+
+// Add a bot player to a lobby
+function addBot(room, difficulty) {
+    const botId = 'bot_' + uuidv4().substring(0, 8);
+    const nick = bots.pickBotNick(Array.from(room.players.values()).map(player => player.nick));
+    
+    const bot = {
+        id: botId,
+        nick,
+        avatarSeed: botId,
+        isHost: false,
+        isReady: true,
+        isConnected: true,
+        isBot: true,
+        difficulty,
+        socketId: null,
+        sessionId: null,
+        answers: {},
+        roundScore: 0,
+        totalScore: 0,
+        hasSubmitted: false,
+        teamId: null
+    };
+    
+    room.players.set(botId, bot);
+    return bot;
+}
+
+// Bots never host, and a room with only bots left is closed
+function humanPlayers(room) {
+    return Array.from(room.players.values()).filter(player => !player.isBot);
+}
+
+// Play each bot's round plan: typing pings, answers and maybe STOP
+// Also used after a restart, so bots only plan categories they have not answered yet
+function scheduleBots(room) {
+    roomTimers.clear(room.code, 'bots');
+    
+    const { gameState } = room;
+    const pack = languages.getPack(room.settings.language);
+    
+    room.players.forEach(bot => {
+        if (!bot.isBot) return;
+        
+        // Only act while the bot is still seated and the round accepts answers
+        const later = (delay, action) => roomTimers.add(room.code, 'bots', delay, () => {
+            if (room.players.get(bot.id) !== bot) return;
+            action();
+        });
+        
+        const assigned = gameState.categoryAssignments && gameState.categoryAssignments[bot.id];
+        const categories = Object.fromEntries(Object.entries(gameState.activeCategories)
+            .filter(([cat]) => (!assigned || assigned.includes(cat)) && !bot.answers[cat]));
+        
+        const plan = bots.planRound(bot.difficulty, gameState.currentLetter, categories, pack);
+        
+        plan.answers.forEach(({ category, word, typing, doneAt }) => {
+            typing.forEach(at => later(at, () => {
+                if (gameState.phase !== 'playing') return;
+                io.to(room.code).emit('player:isTyping', { playerId: bot.id, category });
+            }));
+            later(doneAt, () => {
+                if (!['playing', 'stopped'].includes(gameState.phase)) return;
+                submitAnswers(room, bot, { ...bot.answers, [category]: word });
+            });
+        });
+        
+        // A bot that knew nothing still reports in
+        if (plan.answers.length === 0) {
+            later(plan.doneAt, () => {
+                if (gameState.phase === 'playing') submitAnswers(room, bot, bot.answers);
+            });
+        }
+        
+        if (plan.stopAt !== null) {
+            const stopEnabledIn = gameState.roundStartTime + room.settings.minTime * 1000 - Date.now();
+            later(Math.max(plan.stopAt, stopEnabledIn), () => {
+                if (gameState.phase === 'playing' && gameState.timerEnabled) stopRound(room, bot);
+            });
+        }
+    });
+}
+
+// Start a new round with the already drawn letter
+function startRound(room) {
+    setPhase(room, 'playing');
+    room.gameState.currentRound++;
+    room.gameState.roundStartTime = Date.now();
+    room.gameState.timerEnabled = false;
+    room.gameState.stoppedBy = null;
+    room.gameState.stoppedById = null;
+    room.gameState.stoppedAt = null;
+    room.gameState.allAnswersSubmitted = false;
+    room.gameState.splitAnswers.clear();
+    room.gameState.reactions = {};
+    
+    // Reset player answers for new round
+    room.players.forEach(player => {
+        player.answers = {};
+        player.answerTimes = {}; // category -> when the answer last changed
+        player.hasSubmitted = false;
+        player.roundScore = 0;
+    });
+    
+    const categories = setupCategories(room);
+    
+    room.gameState.categoryAssignments = room.settings.teamMode && room.settings.splitCategories
+        ? teams.assignCategories(Array.from(room.players.values()), Object.keys(categories), room.gameState.currentRound)
+        : null;
+    
+    io.to(room.code).emit('round:start', {
+        round: room.gameState.currentRound,
+        maxRounds: room.settings.maxRounds,
+        letter: room.gameState.currentLetter,
+        categories: categories,
+        assignments: room.gameState.categoryAssignments,
+        minTime: room.settings.minTime,
+        maxRoundTime: room.settings.maxRoundTime
+    });
+    
+    // Enable STOP button after minTime
+    armStopTimer(room, room.settings.minTime * 1000);
+    startRoundClock(room);
+    scheduleBots(room);
+    
+    console.log(`Round ${room.gameState.currentRound} started with letter ${room.gameState.currentLetter}`);
+}
+
+// Score the round and send results to everyone
+function endRound(room) {
+    setPhase(room, 'results');
+    serverMetrics.recordRound(Date.now() - room.gameState.roundStartTime);
+    
+    // Calculate scores
+    calculateScores(room);
+    
+    const results = getAllAnswers(room);
+    const isLastRound = room.gameState.currentRound >= room.settings.maxRounds;
+    
+    io.to(room.code).emit('round:results', {
+        results,
+        categories: room.gameState.activeCategories,
+        currentLetter: room.gameState.currentLetter,
+        round: room.gameState.currentRound,
+        maxRounds: room.settings.maxRounds,
+        isLastRound,
+        reactions: room.gameState.reactions
+    });
+}
+
+// Generate unique spectator ID
+function generateSpectatorId() {
+    return 'spectator_' + uuidv4().substring(0, 8);
+}
+
+// Move spectators who asked to play into the lobby while there are free seats
+function promoteSpectators(room) {
+    room.spectators.forEach(spectator => {
+        if (!spectator.queued || room.players.size >= MAX_PLAYERS) return;
+        
+        const playerId = generatePlayerId();
+        room.spectators.delete(spectator.id);
+        
+        // The spectator's socket takes over the seat through session:restore
+        room.players.set(playerId, {
+            id: playerId,
+            nick: spectator.nick,
+            avatarSeed: spectator.avatarSeed,
+            isHost: false,
+            isReady: false,
+            isConnected: false,
+            socketId: null,
+            sessionId: spectator.sessionId,
+            answers: {},
+            roundScore: 0,
+            totalScore: 0,
+            hasSubmitted: false,
+            teamId: null
+        });
+        playerSessions.set(spectator.sessionId, { roomCode: room.code, playerId });
+        armReconnectionTimeout(playerId, room.code, Date.now());
+        
+        io.to(spectator.socketId).emit('spectator:promoted', { playerId, roomCode: room.code });
+        console.log(`Spectator ${spectator.nick} promoted to player in room ${room.code}`);
+    });
+}
+
+// Leave the lobby for the first round of a new game
+function startGame(room) {
+    // Anyone the host did not place gets the smallest team
+    if (room.settings.teamMode) {
+        teams.balanceTeams(Array.from(room.players.values()), room.settings.teamCount);
+        io.to(room.code).emit('room:update', getRoomData(room));
+    }
+    
+    // Reset game state
+    setPhase(room, 'sticks');
+    room.gameState.currentRound = 0;
+    room.gameState.usedLetters.clear();
+    room.gameState.autoStartAt = null;
+    
+    // Reset player scores
+    room.players.forEach(player => {
+        player.totalScore = 0;
+        player.roundScore = 0;
+        player.answers = {};
+        player.stats = profiles.createPlayerStats();
+    });
+    
+    room.gameState.gameId = gameHistory.startGame(room);
+    
+    io.to(room.code).emit('game:started', getRoomData(room));
+    io.to(room.code).emit('phase:sticks');
+    if (room.gameState.autoPlay) armAutoDraw(room);
+    
+    console.log(`Game started in room ${room.code}`);
+}
+
+// Finish a game and put everyone back in the lobby
+function resetToLobby(room) {
+    clearVotes(room);
+    clearLetterVote(room);
+    setPhase(room, 'lobby');
+    room.gameState.currentRound = 0;
+    room.gameState.usedLetters.clear();
+    room.gameState.endedAt = null;
+    room.gameState.autoPlay = false;
+    
+    room.players.forEach(player => {
+        player.isReady = player.isHost;
+        player.totalScore = 0;
+        player.roundScore = 0;
+        player.answers = {};
+    });
+    
+    promoteSpectators(room);
+    
+    io.to(room.code).emit('game:reset', getRoomData(room));
+}
+
+// Remove a player for good (host or admin kick)
+function kickPlayer(room, targetPlayer) {
+    // Remove session
+    if (targetPlayer.sessionId) {
+        playerSessions.delete(targetPlayer.sessionId);
+    }
+    
+    const disconnect = disconnectedPlayers.get(targetPlayer.id);
+    if (disconnect) {
+        clearTimeout(disconnect.timeout);
+        disconnectedPlayers.delete(targetPlayer.id);
+    }
+    
+    // Notify kicked player, their socket forgets the room so later events are rejected
+    if (targetPlayer.socketId) {
+        io.to(targetPlayer.socketId).emit('player:kicked');
+        io.in(targetPlayer.socketId).socketsLeave(room.code);
+        const targetSocket = io.sockets.sockets.get(targetPlayer.socketId);
+        if (targetSocket && targetSocket.data.forgetRoom) targetSocket.data.forgetRoom();
+    }
+    
+    room.players.delete(targetPlayer.id);
+    
+    if (humanPlayers(room).length === 0) {
+        closeRoom(room);
+        return;
+    }
+    
+    // Admins can kick the host too
+    if (room.hostId === targetPlayer.id) {
+        const newHost = humanPlayers(room)[0];
+        newHost.isHost = true;
+        room.hostId = newHost.id;
+        io.to(room.code).emit('host:changed', { newHostId: newHost.id });
+    }
+    
+    io.to(room.code).emit('room:update', getRoomData(room));
+    io.to(room.code).emit('player:left', { 
+        playerId: targetPlayer.id, 
+        nick: targetPlayer.nick,
+        kicked: true
+    });
+}
+
+// Close a room for everyone in it, dropping sessions and timers
+function closeRoom(room) {
+    io.to(room.code).emit('room:closed');
+    io.in(room.code).socketsLeave(room.code);
+    
+    room.players.forEach(player => {
+        if (player.sessionId) {
+            playerSessions.delete(player.sessionId);
+        }
+        const disconnect = disconnectedPlayers.get(player.id);
+        if (disconnect) {
+            clearTimeout(disconnect.timeout);
+            disconnectedPlayers.delete(player.id);
+        }
+    });
+    
+    clearVotes(room);
+    roomTimers.clearRoom(room.code);
+    rooms.delete(room.code);
+}
+
+// Re-arm round timers that were running when a snapshot was taken
+function resumeRoomTimers(room) {
+    const now = Date.now();
+    const { gameState } = room;
+    
+    if (gameState.phase === 'playing') {
+        if (!gameState.timerEnabled) {
+            armStopTimer(room, Math.max(0, gameState.roundStartTime + room.settings.minTime * 1000 - now));
+        }
+        startRoundClock(room);
+        scheduleBots(room);
+    } else if (gameState.phase === 'sticks' && gameState.letterVote) {
+        armLetterVoteTimer(room, Math.max(0, gameState.letterVote.expiresAt - now));
+    } else if (gameState.phase === 'sticks' && gameState.autoPlay) {
+        armAutoDraw(room);
+    } else if (gameState.phase === 'stopped') {
+        roomTimers.set(room.code, 'stopCountdown', Math.max(0, gameState.stoppedAt + STOP_COUNTDOWN * 1000 - now), () => endRound(room));
+    } else if (gameState.phase === 'ended') {
+        roomTimers.set(room.code, 'lobbyReset', Math.max(0, gameState.endedAt + GAME_END_RESET_MS - now), () => resetToLobby(room));
+    } else if (gameState.phase === 'lobby' && gameState.autoStartAt) {
+        armAutoStart(room);
+    }
+}
+
+// ---- Daily challenge ----
+
+// Daily rounds score like a room with the default rules playing the day's letter
+function dailyRoom(challenge) {
+    return {
+        settings: {
+            language: challenge.language,
+            scoreUnknown: true,
+            duplicateMatching: 'fuzzy',
+            teamMode: false
+        },
+        gameState: {
+            activeCategories: challenge.categories,
+            currentLetter: challenge.letter,
+            stoppedAt: null,
+            categoryAssignments: null,
+            splitAnswers: new Set()
         }
     };
 }
 
-// Check if all players are ready
-function allPlayersReady(room) {
-    let allReady = true;
-    room.players.forEach(player => {
-        if (player.isConnected && !player.isReady) {
-            allReady = false;
-        }
+// Every finished attempt of a day scored against all the others, best first
+// reveal: include the challenge and each answer, otherwise just the standings
+function getDailyResults(date, language, reveal) {
+    const challenge = daily.challengeFor(date, languages.getPack(language));
+    const room = dailyRoom(challenge);
+    const entries = dailyChallenges.finished(date, language);
+    
+    const categoryScores = new Map(entries.map(entry => [entry.id, {}]));
+    Object.keys(challenge.categories).forEach(cat => {
+        scoreCategory(room, cat, entries).forEach((score, id) => {
+            categoryScores.get(id)[cat] = score;
+        });
     });
-    return allReady && room.players.size >= 1;
+    
+    const results = entries
+        .map(entry => {
+            const scores = categoryScores.get(entry.id);
+            const roundScore = Object.values(scores).reduce((sum, score) => sum + score.points, 0);
+            return {
+                id: entry.id,
+                nick: entry.nick,
+                avatarSeed: entry.avatarSeed,
+                roundScore,
+                finishedAt: entry.finishedAt || entry.startedAt + challenge.duration * 1000,
+                ...(reveal ? { categoryScores: scores } : {})
+            };
+        })
+        .sort((a, b) => b.roundScore - a.roundScore || a.finishedAt - b.finishedAt)
+        .map((result, index) => ({ rank: index + 1, ...result }));
+    
+    return {
+        date,
+        language,
+        ...(reveal ? { letter: challenge.letter, categories: challenge.categories } : {}),
+        results
+    };
 }
 
-// Select random letter
-function selectRandomLetter(room) {
-    const available = GEORGIAN_ALPHABET.filter(l => !room.gameState.usedLetters.has(l));
-    if (available.length === 0) {
-        room.gameState.usedLetters.clear();
-        return GEORGIAN_ALPHABET[Math.floor(Math.random() * GEORGIAN_ALPHABET.length)];
+// ---- Quick play ----
+
+// Open public lobby that suits a waiting player, the fullest one first
+function findQuickPlayRoom(preferences) {
+    return Array.from(rooms.values())
+        .filter(room => !room.settings.isPrivate && !room.password &&
+            room.gameState.phase === 'lobby' && room.players.size < MAX_PLAYERS &&
+            matchmaking.suitsSettings(preferences, room.settings))
+        .sort((a, b) => b.players.size - a.players.size)[0] || null;
+}
+
+// A lobby quick play put players in starts by itself unless its host starts it first
+function armAutoStart(room) {
+    if (!room.gameState.autoStartAt) {
+        room.gameState.autoStartAt = Date.now() + QUICK_PLAY_AUTOSTART_MS;
     }
-    return available[Math.floor(Math.random() * available.length)];
+    roomTimers.set(room.code, 'autoStart', Math.max(0, room.gameState.autoStartAt - Date.now()), () => autoStartGame(room));
 }
 
-// Setup categories for round
-function setupCategories(room) {
-    const categories = {};
-    
-    // Use custom categories from room settings, or default if not set
-    const categoryList = room.settings.categories || DEFAULT_CATEGORIES;
-    
-    // Convert array to object with keys
-    categoryList.forEach((catName, index) => {
-        categories[`cat_${index}`] = catName;
-    });
+function autoStartGame(room) {
+    room.gameState.autoStartAt = null;
     
-    // Add random bonus category if enabled
-    if (room.settings.useBonus) {
-        const randomBonus = BONUS_CATEGORIES[Math.floor(Math.random() * BONUS_CATEGORIES.length)];
-        categories['bonus'] = randomBonus;
+    // Everyone else left in the meantime: it is an ordinary lobby again
+    if (humanPlayers(room).filter(player => player.isConnected).length < Math.min(2, QUICK_PLAY_MIN_PLAYERS)) {
+        io.to(room.code).emit('room:update', getRoomData(room));
+        return;
     }
     
-    room.gameState.activeCategories = categories;
-    return categories;
+    room.players.forEach(player => {
+        player.isReady = true;
+    });
+    room.gameState.autoPlay = true;
+    console.log(`Room ${room.code} started automatically, its host did not start it in time`);
+    startGame(room);
 }
 
-// Calculate scores for all players
-function calculateScores(room) {
-    const players = Array.from(room.players.values());
-    const categories = Object.keys(room.gameState.activeCategories);
-    
-    players.forEach(player => {
-        player.roundScore = 0;
-        player.categoryScores = {};
-        
-        categories.forEach(cat => {
-            const answer = (player.answers[cat] || '').trim().toLowerCase();
-            let points = 0;
-            let isValid = false;
-            
-            if (answer.length > 0 && answer.startsWith(room.gameState.currentLetter.toLowerCase())) {
-                isValid = true;
-                
-                // Bonus category always gives 30 points (no duplicate penalty)
-                if (cat === 'bonus') {
-                    points = 30;
-                } else {
-                    points = 20; // Unique answer
-                    
-                    // Check for duplicates (only for non-bonus categories)
-                    players.forEach(otherPlayer => {
-                        if (otherPlayer.id !== player.id) {
-                            const otherAnswer = (otherPlayer.answers[cat] || '').trim().toLowerCase();
-                            if (otherAnswer === answer) {
-                                points = 10; // Duplicate
-                            }
-                        }
-                    });
-                }
-            }
-            
-            player.categoryScores[cat] = { points, isValid, answer: player.answers[cat] || '' };
-            player.roundScore += points;
-        });
-        
-        player.totalScore += player.roundScore;
+// Draw the letter for a host who let the game start by itself, unless they drew it in the meantime
+// In host letter mode it is a random one, nobody is there to pick
+function armAutoDraw(room) {
+    roomTimers.set(room.code, 'autoDraw', QUICK_PLAY_AUTODRAW_MS, () => {
+        if (roomTimers.has(room.code, 'reveal') || room.gameState.letterVote) return;
+        
+        if (room.settings.letterMode === 'vote') {
+            startLetterVote(room);
+        } else {
+            revealLetter(room, selectRandomLetter(room));
+        }
     });
 }
 
-// Get all answers for results
-function getAllAnswers(room) {
-    const results = [];
-    room.players.forEach(player => {
-        results.push({
-            id: player.id,
-            nick: player.nick,
-            avatarSeed: player.avatarSeed,
-            isHost: player.isHost,
-            answers: player.answers,
-            categoryScores: player.categoryScores,
-            roundScore: player.roundScore,
-            totalScore: player.totalScore
-        });
-    });
-    return results;
+// Put a waiting player into a lobby
+function seatFromQueue(room, entry) {
+    const player = addPlayer(room, generatePlayerId(), entry);
+    if (!room.gameState.autoStartAt) armAutoStart(room);
+    entry.seat(room, player.id);
+    io.to(room.code).emit('room:update', getRoomData(room));
 }
 
-// Handle player disconnect with reconnection window
-function handlePlayerDisconnect(socket, playerId, roomCode) {
-    const room = rooms.get(roomCode);
-    if (!room) {
-        console.log(`Disconnect: Room ${roomCode} not found`);
-        return;
-    }
-    
-    const player = room.players.get(playerId);
-    if (!player) {
-        console.log(`Disconnect: Player ${playerId} not found in room`);
-        return;
-    }
+// Match waiting players: into open lobbies first, then new rooms for groups that want the same game
+function matchQueue() {
+    quickPlayQueue.list().forEach(entry => {
+        const room = findQuickPlayRoom(entry.preferences);
+        if (!room) return;
+        
+        quickPlayQueue.remove(entry.id);
+        seatFromQueue(room, entry);
+    });
     
-    // Only mark as disconnected if this is the same socket
-    if (player.socketId !== socket.id) {
-        console.log(`Disconnect: Socket mismatch, ignoring. Player socket: ${player.socketId}, disconnecting socket: ${socket.id}`);
-        return;
+    let group;
+    while ((group = quickPlayQueue.takeGroup(QUICK_PLAY_MIN_PLAYERS, MAX_PLAYERS))) {
+        const [host, ...others] = group.entries;
+        const hostId = generatePlayerId();
+        const room = createRoom(hostId, host);
+        applySettings(room, matchmaking.settingsFor(group.preferences));
+        
+        armAutoStart(room);
+        host.seat(room, hostId);
+        others.forEach(entry => seatFromQueue(room, entry));
+        
+        console.log(`Quick play room ${room.code} created for ${group.entries.length} players`);
     }
     
-    console.log(`Player ${player.nick} disconnecting from room ${roomCode}`);
-    
-    player.isConnected = false;
-    player.socketId = null;
-    
+    broadcastQueueStatus();
+}
+
+// Tell every waiting player where they are in line
+function broadcastQueueStatus() {
+    const waiting = quickPlayQueue.list();
+    waiting.forEach((entry, index) => {
+        io.to(entry.id).emit('queue:status', {
+            position: index + 1,
+            waiting: waiting.length,
+            needed: QUICK_PLAY_MIN_PLAYERS
+        });
+    });
+}
+
+// Remove a disconnected player once their reconnection window runs out
+function armReconnectionTimeout(playerId, roomCode, disconnectedAt) {
     // Clear any existing timeout for this player
     const existingDisconnect = disconnectedPlayers.get(playerId);
     if (existingDisconnect) {
         clearTimeout(existingDisconnect.timeout);
     }
     
+    const room = rooms.get(roomCode);
+    const player = room ? room.players.get(playerId) : null;
+    const remaining = Math.max(0, disconnectedAt + RECONNECT_WINDOW_MS - Date.now());
+    
     // Store player data for potential reconnection
     const timeout = setTimeout(() => {
-        // After 2 minutes, remove player completely
+        // After the window closes, remove player completely
         const currentRoom = rooms.get(roomCode);
         if (currentRoom) {
             const currentPlayer = currentRoom.players.get(playerId);
@@ -300,45 +1666,249 @@ function handlePlayerDisconnect(socket, playerId, roomCode) {
                 }
                 
                 // If host left, assign new host
-                if (currentRoom.hostId === playerId && currentRoom.players.size > 0) {
-                    const newHost = currentRoom.players.values().next().value;
+                if (currentRoom.hostId === playerId && humanPlayers(currentRoom).length > 0) {
+                    const newHost = humanPlayers(currentRoom)[0];
                     newHost.isHost = true;
                     currentRoom.hostId = newHost.id;
                     io.to(roomCode).emit('host:changed', { newHostId: newHost.id });
                 }
                 
                 // If room is empty, delete it
-                if (currentRoom.players.size === 0) {
+                if (humanPlayers(currentRoom).length === 0) {
+                    io.to(roomCode).emit('room:closed');
+                    clearVotes(currentRoom);
+                    roomTimers.clearRoom(roomCode);
                     rooms.delete(roomCode);
                     console.log(`Room ${roomCode} deleted (empty after timeout)`);
                 } else {
                     io.to(roomCode).emit('room:update', getRoomData(currentRoom));
-                    io.to(roomCode).emit('player:left', { playerId, nick: player.nick });
+                    io.to(roomCode).emit('player:left', { playerId, nick: currentPlayer.nick });
                 }
             }
         }
-    }, 120000); // 2 minutes reconnection window
+    }, remaining);
     
     disconnectedPlayers.set(playerId, {
         roomCode,
         timeout,
+        disconnectedAt,
         playerData: player
     });
+}
+
+// Handle player disconnect with reconnection window
+function handlePlayerDisconnect(socket, playerId, roomCode) {
+    const room = rooms.get(roomCode);
+    if (!room) {
+        console.log(`Disconnect: Room ${roomCode} not found`);
+        return;
+    }
+    
+    const player = room.players.get(playerId);
+    if (!player) {
+        console.log(`Disconnect: Player ${playerId} not found in room`);
+        return;
+    }
+    
+    // Only mark as disconnected if this is the same socket
+    if (player.socketId !== socket.id) {
+        console.log(`Disconnect: Socket mismatch, ignoring. Player socket: ${player.socketId}, disconnecting socket: ${socket.id}`);
+        return;
+    }
+    
+    console.log(`Player ${player.nick} disconnecting from room ${roomCode}`);
+    
+    player.isConnected = false;
+    player.socketId = null;
+    
+    armReconnectionTimeout(playerId, roomCode, Date.now());
     
     // Notify other players
     io.to(roomCode).emit('player:disconnected', { playerId, nick: player.nick });
     io.to(roomCode).emit('room:update', getRoomData(room));
 }
 
+// Convert a room to plain JSON for the snapshot store
+function serializeRoom(room) {
+    return {
+        code: room.code,
+        hostId: room.hostId,
+        settings: room.settings,
+        password: room.password, // Already a salted hash
+        players: Array.from(room.players.values()),
+        spectators: [], // Spectators rejoin on their own after a restart
+        invites: Array.from(room.invites.entries()),
+        chat: room.chat,
+        gameState: {
+            ...room.gameState,
+            usedLetters: Array.from(room.gameState.usedLetters),
+            splitAnswers: Array.from(room.gameState.splitAnswers),
+            votes: [] // Open votes do not survive a restart
+        }
+    };
+}
+
+// Rebuild a room from its snapshot; nobody is connected after a restart
+function restoreRoom(data) {
+    return {
+        ...data,
+        players: new Map(data.players.map(player => [player.id, {
+            ...player,
+            isConnected: !!player.isBot, // Bots are always there
+            socketId: null
+        }])),
+        spectators: new Map(),
+        chat: data.chat || [],
+        password: data.password || null,
+        invites: new Map(data.invites || []),
+        gameState: {
+            ...data.gameState,
+            reactions: data.gameState.reactions || {},
+            usedLetters: new Set(data.gameState.usedLetters),
+            splitAnswers: new Set(data.gameState.splitAnswers),
+            votes: new Map()
+        }
+    };
+}
+
+// Save every room, session and pending disconnect
+function saveState() {
+    const disconnected = [];
+    disconnectedPlayers.forEach((entry, playerId) => {
+        disconnected.push({ playerId, roomCode: entry.roomCode, disconnectedAt: entry.disconnectedAt });
+    });
+    
+    try {
+        store.save({
+            savedAt: Date.now(),
+            rooms: Array.from(rooms.values()).map(serializeRoom),
+            sessions: Array.from(playerSessions.entries()),
+            disconnected
+        });
+    } catch (err) {
+        console.log(`Failed to save state: ${err.message}`);
+    }
+}
+
+// Reload rooms from the last snapshot and re-arm their timers
+function loadState() {
+    const snapshot = store.load();
+    if (!snapshot) return;
+    
+    const disconnectedAt = new Map();
+    (snapshot.disconnected || []).forEach(entry => {
+        disconnectedAt.set(entry.playerId, entry.disconnectedAt);
+    });
+    
+    (snapshot.sessions || []).forEach(([sessionId, session]) => {
+        playerSessions.set(sessionId, session);
+    });
+    
+    (snapshot.rooms || []).forEach(data => {
+        const room = restoreRoom(data);
+        rooms.set(room.code, room);
+        
+        // Players connected at shutdown get their window from the snapshot time
+        room.players.forEach(player => {
+            if (player.isBot) return;
+            armReconnectionTimeout(player.id, room.code, disconnectedAt.get(player.id) || snapshot.savedAt);
+        });
+        
+        resumeRoomTimers(room);
+    });
+    
+    console.log(`Restored ${rooms.size} rooms from ${store.type} storage`);
+}
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
     console.log('Client connected:', socket.id);
     
     let currentPlayerId = null;
     let currentRoomCode = null;
+    let currentSpectatorId = null;
+    let currentDaily = null; // { date, language, sessionId } of the daily challenge this socket plays
+    
+    // Called when the server removes this socket's player from its room (kicks)
+    socket.data.forgetRoom = () => {
+        currentPlayerId = null;
+        currentRoomCode = null;
+    };
+    
+    const rateLimiter = ratelimit.createRateLimiter();
+    
+    // Register an event handler that only ever sees rate limited, validated payloads
+    function on(event, handler) {
+        const errorEvent = ['room:', 'session:', 'queue:', 'daily:'].some(prefix => event.startsWith(prefix)) ? 'room:error' : 'game:error';
+        
+        socket.on(event, (payload) => {
+            const limit = rateLimiter.check(event);
+            if (!limit.allowed) {
+                if (!limit.silent) {
+                    socket.emit(errorEvent, { code: 'rate_limited' });
+                }
+                return;
+            }
+            
+            const { value, error, params } = validation.validate(event, payload);
+            if (error) {
+                socket.emit(errorEvent, { code: error, params });
+                return;
+            }
+            
+            // Game events only count in the phases lib/engine.js allows them in
+            const room = currentRoomCode && rooms.get(currentRoomCode);
+            if (room && !engine.acceptsEvent(room.gameState.phase, event)) {
+                socket.emit(errorEvent, { code: 'wrong_phase', params: { phase: room.gameState.phase } });
+                return;
+            }
+            
+            // A bug in one handler must not take the whole server down
+            try {
+                handler(value);
+            } catch (err) {
+                console.log(`Error handling ${event}:`, err);
+                socket.emit(errorEvent, { code: 'server_error' });
+            }
+        });
+    }
+    
+    // Hand this socket a seat it was given in a room, by room:join or quick play
+    function enterRoom(room, player) {
+        leaveQueue();
+        currentPlayerId = player.id;
+        currentRoomCode = room.code;
+        
+        // Store session
+        playerSessions.set(player.sessionId, { roomCode: room.code, playerId: player.id });
+        
+        socket.join(room.code);
+        
+        socket.emit('room:joined', {
+            roomCode: room.code,
+            playerId: player.id,
+            roomData: getRoomData(room)
+        });
+        socket.emit('chat:history', { messages: room.chat });
+        
+        // Notify others
+        socket.to(room.code).emit('player:joined', {
+            id: player.id,
+            nick: player.nick,
+            avatarSeed: player.avatarSeed,
+            isHost: player.isHost,
+            isReady: player.isReady
+        });
+        
+        io.to(room.code).emit('room:update', getRoomData(room));
+    }
+    
+    function leaveQueue() {
+        if (quickPlayQueue.remove(socket.id)) broadcastQueueStatus();
+    }
     
     // Attempt to reconnect with session
-    socket.on('session:restore', ({ sessionId, playerId }) => {
+    on('session:restore', ({ sessionId, playerId }) => {
         console.log(`Session restore attempt: sessionId=${sessionId}, playerId=${playerId}`);
         
         // First, try to find the session
@@ -400,6 +1970,7 @@ io.on('connection', (socket) => {
         
         currentPlayerId = playerId;
         currentRoomCode = session.roomCode;
+        currentSpectatorId = null; // A promoted spectator now plays
         
         socket.join(session.roomCode);
         
@@ -416,6 +1987,7 @@ io.on('connection', (socket) => {
                 isHost: player.isHost
             }
         });
+        socket.emit('chat:history', { messages: room.chat });
         
         // Notify others only if player was marked disconnected
         if (disconnected || !player.isConnected) {
@@ -430,7 +2002,8 @@ io.on('connection', (socket) => {
     });
     
     // Create room
-    socket.on('room:create', ({ nick, avatarSeed, sessionId }) => {
+    on('room:create', ({ nick, avatarSeed, sessionId }) => {
+        leaveQueue();
         const playerId = generatePlayerId();
         const room = createRoom(playerId, {
             nick,
@@ -453,75 +2026,193 @@ io.on('connection', (socket) => {
             roomData: getRoomData(room)
         });
         
-        console.log(`Room ${room.code} created by ${nick}`);
+        console.log(`Room ${room.code} created by ${nick}`);
+    });
+    
+    // Join room
+    on('room:join', ({ roomCode, nick, avatarSeed, sessionId, password, inviteToken }) => {
+        const room = rooms.get(roomCode.toUpperCase());
+        
+        if (!room) {
+            socket.emit('room:error', { code: 'room_not_found' });
+            return;
+        }
+        
+        if (room.gameState.phase !== 'lobby') {
+            socket.emit('room:error', { code: 'game_in_progress', roomCode: room.code, canSpectate: true });
+            return;
+        }
+        
+        if (room.players.size >= MAX_PLAYERS) {
+            socket.emit('room:error', { code: 'room_full', params: { max: MAX_PLAYERS }, roomCode: room.code, canSpectate: true });
+            return;
+        }
+        
+        const accessError = checkRoomAccess(room, { password, inviteToken });
+        if (accessError) {
+            socket.emit('room:error', { code: accessError, roomCode: room.code, needsPassword: true });
+            return;
+        }
+        
+        const player = addPlayer(room, generatePlayerId(), { nick, avatarSeed, socketId: socket.id, sessionId });
+        enterRoom(room, player);
+        
+        console.log(`${nick} joined room ${room.code}`);
+    });
+    
+    // Wait for a quick play room: an open public lobby, or a new one with other waiting players
+    on('queue:join', ({ nick, avatarSeed, sessionId, rounds, bonus }) => {
+        if (currentRoomCode) {
+            socket.emit('room:error', { code: 'queue_in_room' });
+            return;
+        }
+        
+        quickPlayQueue.add({
+            id: socket.id,
+            nick,
+            avatarSeed,
+            socketId: socket.id,
+            sessionId,
+            preferences: { rounds, bonus },
+            seat: (room, playerId) => {
+                socket.emit('queue:matched', { roomCode: room.code });
+                enterRoom(room, room.players.get(playerId));
+            }
+        });
+        console.log(`${nick} is waiting for quick play`);
+        
+        matchQueue();
+    });
+    
+    on('queue:leave', () => {
+        leaveQueue();
+        socket.emit('queue:left');
+    });
+    
+    // Daily challenge: start today's solo round (or pick up the running one), the results once it is over
+    on('daily:start', ({ nick, avatarSeed, sessionId, language }) => {
+        const pack = languages.getPack(language);
+        const date = daily.dateKey();
+        const { entry, code } = dailyChallenges.start(date, pack.id, { sessionId, address: clientAddress(socket), nick, avatarSeed });
+        if (!entry) {
+            socket.emit('room:error', { code });
+            return;
+        }
+        
+        currentDaily = { date, language: pack.id, sessionId };
+        
+        // Today's answers stay hidden until the day is over, like on /api/daily
+        if (daily.isFinished(entry)) {
+            socket.emit('daily:results', getDailyResults(date, pack.id, false));
+            return;
+        }
+        
+        const challenge = daily.challengeFor(date, pack);
+        socket.emit('daily:started', {
+            ...challenge,
+            endsAt: entry.startedAt + challenge.duration * 1000,
+            answers: entry.answers,
+            keyboard: pack.keyboard
+        });
+        console.log(`${nick} started the daily challenge of ${date} (${pack.id})`);
+    });
+    
+    on('daily:submit', ({ answers, final }) => {
+        if (!currentDaily) {
+            socket.emit('room:error', { code: 'daily_not_started' });
+            return;
+        }
+        
+        const { date, language, sessionId } = currentDaily;
+        const pack = languages.getPack(language);
+        const categories = daily.challengeFor(date, pack).categories;
+        const cleaned = Object.fromEntries(Object.entries(answers)
+            .filter(([cat]) => categories[cat])
+            .map(([cat, answer]) => [cat, normalize.applyKeyboardLayout(answer, pack)]));
+        
+        // Answers after the time is up are dropped, the ones sent in time stand
+        dailyChallenges.submit(date, language, sessionId, cleaned, final);
+        if (final) {
+            socket.emit('daily:results', getDailyResults(date, language, false));
+        }
     });
     
-    // Join room
-    socket.on('room:join', ({ roomCode, nick, avatarSeed, sessionId }) => {
+    // Watch a room without playing
+    on('room:spectate', ({ roomCode, nick, avatarSeed, sessionId, password, inviteToken }) => {
+        leaveQueue();
         const room = rooms.get(roomCode.toUpperCase());
         
         if (!room) {
-            socket.emit('room:error', { message: 'ოთახი ვერ მოიძებნა' });
-            return;
-        }
-        
-        if (room.gameState.phase !== 'lobby') {
-            socket.emit('room:error', { message: 'თამაში უკვე დაწყებულია' });
+            socket.emit('room:error', { code: 'room_not_found' });
             return;
         }
         
-        if (room.players.size >= 8) {
-            socket.emit('room:error', { message: 'ოთახი სავსეა (მაქს. 8 მოთამაშე)' });
+        const accessError = checkRoomAccess(room, { password, inviteToken });
+        if (accessError) {
+            socket.emit('room:error', { code: accessError, roomCode: room.code, needsPassword: true, spectate: true });
             return;
         }
         
-        const playerId = generatePlayerId();
+        const spectatorId = generateSpectatorId();
         
-        room.players.set(playerId, {
-            id: playerId,
+        room.spectators.set(spectatorId, {
+            id: spectatorId,
             nick,
             avatarSeed,
-            isHost: false,
-            isReady: false,
-            isConnected: true,
             socketId: socket.id,
             sessionId,
-            answers: {},
-            roundScore: 0,
-            totalScore: 0,
-            hasSubmitted: false
+            queued: false // Wants a seat at the next lobby reset
         });
         
-        currentPlayerId = playerId;
-        currentRoomCode = roomCode.toUpperCase();
-        
-        // Store session
-        playerSessions.set(sessionId, { roomCode: room.code, playerId });
+        currentSpectatorId = spectatorId;
+        currentRoomCode = room.code;
         
         socket.join(room.code);
         
-        socket.emit('room:joined', {
+        // Late arrivals get the current review so they can follow along
+        socket.emit('room:spectating', {
             roomCode: room.code,
-            playerId: playerId,
-            roomData: getRoomData(room)
-        });
-        
-        // Notify others
-        socket.to(room.code).emit('player:joined', {
-            id: playerId,
-            nick,
-            avatarSeed,
-            isHost: false,
-            isReady: false
+            spectatorId,
+            roomData: getRoomData(room),
+            results: room.gameState.phase === 'results' ? {
+                results: getAllAnswers(room),
+                categories: room.gameState.activeCategories,
+                currentLetter: room.gameState.currentLetter,
+                round: room.gameState.currentRound,
+                maxRounds: room.settings.maxRounds,
+                isLastRound: room.gameState.currentRound >= room.settings.maxRounds,
+                reactions: room.gameState.reactions
+            } : null
         });
+        socket.emit('chat:history', { messages: room.chat });
         
         io.to(room.code).emit('room:update', getRoomData(room));
         
-        console.log(`${nick} joined room ${room.code}`);
+        console.log(`${nick} is spectating room ${room.code}`);
+    });
+    
+    // Ask for (or give up) a seat at the next lobby reset - SPECTATORS ONLY
+    on('spectator:queue', ({ queued }) => {
+        if (!currentRoomCode || !currentSpectatorId) return;
+        
+        const room = rooms.get(currentRoomCode);
+        if (!room) return;
+        
+        const spectator = room.spectators.get(currentSpectatorId);
+        if (!spectator) return;
+        
+        spectator.queued = !!queued;
+        
+        // No need to wait when the lobby already has a free seat
+        if (room.gameState.phase === 'lobby') {
+            promoteSpectators(room);
+        }
+        
+        io.to(currentRoomCode).emit('room:update', getRoomData(room));
     });
     
     // Toggle ready status
-    socket.on('player:ready', ({ ready }) => {
+    on('player:ready', ({ ready }) => {
         if (!currentRoomCode || !currentPlayerId) return;
         
         const room = rooms.get(currentRoomCode);
@@ -540,108 +2231,238 @@ io.on('connection', (socket) => {
     });
     
     // Update settings (host only)
-    socket.on('settings:update', (settings) => {
+    on('settings:update', (settings) => {
         if (!currentRoomCode || !currentPlayerId) return;
         
         const room = rooms.get(currentRoomCode);
         if (!room || room.hostId !== currentPlayerId) return;
         
-        room.settings = { ...room.settings, ...settings };
+        // Edited categories are no longer the imported preset
+        if (settings.categories) settings.categoryPreset = null;
+        
+        const error = applySettings(room, settings);
+        if (error) {
+            socket.emit('game:error', error);
+            return;
+        }
         
         io.to(currentRoomCode).emit('room:update', getRoomData(room));
         io.to(currentRoomCode).emit('settings:changed', room.settings);
     });
     
-    // Start game (host only)
-    socket.on('game:start', () => {
+    // Save the room's categories as a preset other rooms can import (host only)
+    on('preset:save', ({ name }) => {
         if (!currentRoomCode || !currentPlayerId) return;
         
         const room = rooms.get(currentRoomCode);
         if (!room || room.hostId !== currentPlayerId) return;
         
-        if (!allPlayersReady(room)) {
-            socket.emit('game:error', { message: 'ყველა მოთამაშე მზად არ არის' });
+        const host = room.players.get(currentPlayerId);
+        const preset = presetLibrary.create({
+            name,
+            language: room.settings.language,
+            categories: room.settings.categories,
+            rotation: room.settings.categoryRotation,
+            createdBy: host.nick
+        });
+        
+        room.settings.categoryPreset = preset.code;
+        console.log(`Preset ${preset.code} "${name}" saved from room ${room.code}`);
+        
+        socket.emit('preset:saved', { preset });
+        io.to(currentRoomCode).emit('room:update', getRoomData(room));
+    });
+    
+    // Replace the room's categories with a saved preset (host only)
+    on('preset:import', ({ code }) => {
+        if (!currentRoomCode || !currentPlayerId) return;
+        
+        const room = rooms.get(currentRoomCode);
+        if (!room || room.hostId !== currentPlayerId) return;
+        
+        const preset = presetLibrary.get(code);
+        if (!preset) {
+            socket.emit('game:error', { code: 'preset_not_found' });
             return;
         }
         
-        // Reset game state
-        room.gameState.phase = 'sticks';
-        room.gameState.currentRound = 0;
-        room.gameState.usedLetters.clear();
+        // A preset for another language switches the room to it
+        const error = applySettings(room, {
+            language: languages.hasPack(preset.language) ? preset.language : room.settings.language,
+            categories: [...preset.categories],
+            categoryRotation: preset.rotation,
+            categoryPreset: preset.code
+        });
+        if (error) {
+            socket.emit('game:error', error);
+            return;
+        }
         
-        // Reset player scores
-        room.players.forEach(player => {
-            player.totalScore = 0;
-            player.roundScore = 0;
-            player.answers = {};
+        presetLibrary.recordUse(preset.code);
+        
+        io.to(currentRoomCode).emit('preset:imported', { code: preset.code, name: preset.name });
+        io.to(currentRoomCode).emit('room:update', getRoomData(room));
+        io.to(currentRoomCode).emit('settings:changed', room.settings);
+    });
+    
+    // Set or clear (empty string) the room password (host only)
+    on('room:setPassword', ({ password }) => {
+        if (!currentRoomCode || !currentPlayerId) return;
+        
+        const room = rooms.get(currentRoomCode);
+        if (!room || room.hostId !== currentPlayerId) return;
+        
+        room.password = password ? hashPassword(password) : null;
+        io.to(currentRoomCode).emit('room:update', getRoomData(room));
+    });
+    
+    // Create an invite link that skips the password (host only)
+    on('invite:create', ({ singleUse }) => {
+        if (!currentRoomCode || !currentPlayerId) return;
+        
+        const room = rooms.get(currentRoomCode);
+        if (!room || room.hostId !== currentPlayerId) return;
+        
+        // Forget invites nobody used in time
+        const now = Date.now();
+        room.invites.forEach((invite, token) => {
+            if (invite.expiresAt <= now) room.invites.delete(token);
         });
         
-        io.to(currentRoomCode).emit('game:started', getRoomData(room));
-        io.to(currentRoomCode).emit('phase:sticks');
+        const token = uuidv4().replace(/-/g, '');
+        const expiresAt = now + (singleUse ? SINGLE_USE_INVITE_TTL_MS : INVITE_TTL_MS);
+        room.invites.set(token, { expiresAt, singleUse });
         
-        console.log(`Game started in room ${currentRoomCode}`);
+        socket.emit('invite:created', {
+            url: `/join/${room.code}?t=${token}`,
+            expiresAt,
+            singleUse
+        });
     });
     
-    // Draw letter (host triggers)
-    socket.on('sticks:draw', () => {
+    // Put a player in a team, or take them out with teamId null (host only)
+    on('team:assign', ({ targetPlayerId, teamId }) => {
         if (!currentRoomCode || !currentPlayerId) return;
         
         const room = rooms.get(currentRoomCode);
         if (!room || room.hostId !== currentPlayerId) return;
         
-        const letter = selectRandomLetter(room);
-        room.gameState.currentLetter = letter;
-        room.gameState.usedLetters.add(letter);
+        const targetPlayer = room.players.get(targetPlayerId);
+        if (!targetPlayer) return;
         
-        io.to(currentRoomCode).emit('sticks:drawing', { duration: 2000 });
+        if (teamId !== null && !teams.isTeamId(teamId, room.settings.teamCount)) return;
         
-        setTimeout(() => {
-            io.to(currentRoomCode).emit('sticks:result', { letter });
-            
-            // Start round after showing letter
-            setTimeout(() => {
-                startRound(room);
-            }, 1500);
-        }, 2000);
+        targetPlayer.teamId = teamId;
+        io.to(currentRoomCode).emit('room:update', getRoomData(room));
     });
     
-    function startRound(room) {
-        room.gameState.currentRound++;
-        room.gameState.phase = 'playing';
-        room.gameState.timerEnabled = false;
-        room.gameState.stoppedBy = null;
-        room.gameState.allAnswersSubmitted = false;
+    // Spread players without a team evenly (host only)
+    on('team:balance', () => {
+        if (!currentRoomCode || !currentPlayerId) return;
         
-        // Reset player answers for new round
-        room.players.forEach(player => {
-            player.answers = {};
-            player.hasSubmitted = false;
-            player.roundScore = 0;
-        });
+        const room = rooms.get(currentRoomCode);
+        if (!room || room.hostId !== currentPlayerId) return;
         
-        const categories = setupCategories(room);
+        teams.balanceTeams(Array.from(room.players.values()), room.settings.teamCount);
+        io.to(currentRoomCode).emit('room:update', getRoomData(room));
+    });
+    
+    // Add a bot opponent (host only, in the lobby)
+    on('bot:add', ({ difficulty }) => {
+        if (!currentRoomCode || !currentPlayerId) return;
         
-        io.to(room.code).emit('round:start', {
-            round: room.gameState.currentRound,
-            maxRounds: room.settings.maxRounds,
-            letter: room.gameState.currentLetter,
-            categories: categories,
-            minTime: room.settings.minTime
+        const room = rooms.get(currentRoomCode);
+        if (!room || room.hostId !== currentPlayerId) return;
+        
+        if (room.players.size >= MAX_PLAYERS) {
+            socket.emit('game:error', { code: 'room_full', params: { max: MAX_PLAYERS } });
+            return;
+        }
+        
+        const bot = addBot(room, difficulty);
+        
+        io.to(currentRoomCode).emit('player:joined', {
+            id: bot.id,
+            nick: bot.nick,
+            avatarSeed: bot.avatarSeed,
+            isHost: false,
+            isReady: true,
+            isBot: true
         });
+        io.to(currentRoomCode).emit('room:update', getRoomData(room));
+        
+        console.log(`Bot ${bot.nick} (${difficulty}) added to room ${currentRoomCode}`);
+    });
+    
+    // Start game (host only)
+    on('game:start', () => {
+        if (!currentRoomCode || !currentPlayerId) return;
         
-        // Enable STOP button after minTime
-        setTimeout(() => {
-            room.gameState.timerEnabled = true;
-            io.to(room.code).emit('stop:enabled');
-        }, room.settings.minTime * 1000);
+        const room = rooms.get(currentRoomCode);
+        if (!room || room.hostId !== currentPlayerId) return;
         
-        console.log(`Round ${room.gameState.currentRound} started with letter ${room.gameState.currentLetter}`);
-    }
+        if (!allPlayersReady(room)) {
+            socket.emit('game:error', { code: 'players_not_ready' });
+            return;
+        }
+        
+        startGame(room);
+    });
+    
+    // Draw letter (host triggers)
+    on('sticks:draw', () => {
+        if (!currentRoomCode || !currentPlayerId) return;
+        
+        const room = rooms.get(currentRoomCode);
+        if (!room || room.hostId !== currentPlayerId) return;
+        
+        // One draw per round, ignore clicks while the sticks are still falling or a vote is open
+        if (roomTimers.has(room.code, 'reveal') || room.gameState.letterVote) return;
+        
+        if (room.settings.letterMode === 'vote') {
+            startLetterVote(room);
+        } else if (room.settings.letterMode === 'random') {
+            revealLetter(room, selectRandomLetter(room));
+        }
+    });
+    
+    // Host chooses the letter (host letter mode)
+    on('letter:pick', ({ letter }) => {
+        if (!currentRoomCode || !currentPlayerId) return;
+        
+        const room = rooms.get(currentRoomCode);
+        if (!room || room.hostId !== currentPlayerId || room.settings.letterMode !== 'host') return;
+        if (roomTimers.has(room.code, 'reveal')) return;
+        
+        if (!letters.allowedLetters(languages.getPack(room.settings.language), room.settings).includes(letter)) {
+            socket.emit('game:error', { code: 'letter_excluded' });
+            return;
+        }
+        
+        revealLetter(room, letter);
+    });
+    
+    // Vote for one of the drawn letters (vote letter mode), voting again changes the vote
+    on('letter:vote', ({ letter }) => {
+        if (!currentRoomCode || !currentPlayerId) return;
+        
+        const room = rooms.get(currentRoomCode);
+        if (!room) return;
+        
+        const vote = room.gameState.letterVote;
+        if (!vote || !vote.candidates.includes(letter)) return;
+        
+        vote.ballots[currentPlayerId] = letter;
+        tallyLetterVote(room);
+    });
     
     // Player typing indicator
-    socket.on('player:typing', ({ category }) => {
+    on('player:typing', ({ category }) => {
         if (!currentRoomCode || !currentPlayerId) return;
         
+        const room = rooms.get(currentRoomCode);
+        if (!room || !room.players.has(currentPlayerId)) return;
+        
         socket.to(currentRoomCode).emit('player:isTyping', {
             playerId: currentPlayerId,
             category
@@ -649,7 +2470,7 @@ io.on('connection', (socket) => {
     });
     
     // Submit answers
-    socket.on('answers:submit', ({ answers }) => {
+    on('answers:submit', ({ answers }) => {
         if (!currentRoomCode || !currentPlayerId) return;
         
         const room = rooms.get(currentRoomCode);
@@ -658,119 +2479,107 @@ io.on('connection', (socket) => {
         const player = room.players.get(currentPlayerId);
         if (!player) return;
         
-        const wasSubmitted = player.hasSubmitted;
-        player.answers = answers;
-        player.hasSubmitted = true;
-        
-        // Only emit player:submitted once (first time)
-        if (!wasSubmitted) {
-            io.to(currentRoomCode).emit('player:submitted', { playerId: currentPlayerId });
-        }
-        
-        // Check if all connected players have submitted (only if not already marked)
-        if (!room.gameState.allAnswersSubmitted) {
-            let allSubmitted = true;
-            room.players.forEach(p => {
-                if (p.isConnected && !p.hasSubmitted) {
-                    allSubmitted = false;
-                }
-            });
-            
-            if (allSubmitted) {
-                room.gameState.allAnswersSubmitted = true;
-                io.to(currentRoomCode).emit('all:submitted');
-            }
-        }
+        submitAnswers(room, player, answers);
     });
     
     // Stop round
-    socket.on('round:stop', () => {
+    on('round:stop', () => {
         if (!currentRoomCode || !currentPlayerId) return;
         
         const room = rooms.get(currentRoomCode);
-        if (!room || room.gameState.phase !== 'playing') return;
+        if (!room) return;
+        
+        const player = room.players.get(currentPlayerId);
+        if (!player) return;
         
         if (!room.gameState.timerEnabled) {
-            socket.emit('game:error', { message: 'დაელოდეთ ტაიმერს' });
+            socket.emit('game:error', { code: 'wait_for_timer' });
             return;
         }
         
-        const player = room.players.get(currentPlayerId);
-        room.gameState.phase = 'stopped';
-        room.gameState.stoppedBy = player.nick;
+        stopRound(room, player);
+    });
+    
+    // Invalidate answer (during review) - HOST ONLY
+    on('answer:invalidate', ({ targetPlayerId, category }) => {
+        if (!currentRoomCode || !currentPlayerId) return;
         
-        io.to(currentRoomCode).emit('round:stopped', { 
-            stoppedBy: player.nick,
-            countdown: 5
-        });
+        const room = rooms.get(currentRoomCode);
+        if (!room) return;
+        
+        // Only host can invalidate answers, and only in host review mode
+        if (room.hostId !== currentPlayerId || room.settings.reviewMode !== 'host') return;
         
-        // Give 5 seconds for final answers
-        setTimeout(() => {
-            endRound(room);
-        }, 5000);
+        const targetPlayer = room.players.get(targetPlayerId);
+        if (!targetPlayer) return;
         
-        console.log(`Round stopped by ${player.nick}`);
+        toggleAnswerValidity(room, targetPlayer, category, currentPlayerId);
     });
     
-    function endRound(room) {
-        room.gameState.phase = 'results';
+    // Challenge an answer (during review) - VOTE MODE, any player
+    on('answer:challenge', ({ targetPlayerId, category }) => {
+        if (!currentRoomCode || !currentPlayerId) return;
         
-        // Calculate scores
-        calculateScores(room);
+        const room = rooms.get(currentRoomCode);
+        if (!room) return;
+        if (room.settings.reviewMode !== 'vote') return;
         
-        const results = getAllAnswers(room);
-        const isLastRound = room.gameState.currentRound >= room.settings.maxRounds;
+        const challenger = room.players.get(currentPlayerId);
+        const targetPlayer = room.players.get(targetPlayerId);
+        if (!challenger || !targetPlayer || targetPlayerId === currentPlayerId) return;
         
-        io.to(room.code).emit('round:results', {
-            results,
-            categories: room.gameState.activeCategories,
-            currentLetter: room.gameState.currentLetter,
-            round: room.gameState.currentRound,
-            maxRounds: room.settings.maxRounds,
-            isLastRound
-        });
-    }
+        const score = targetPlayer.categoryScores && targetPlayer.categoryScores[category];
+        if (!score || !score.answer) return;
+        
+        if (room.gameState.votes.has(`${targetPlayerId}:${category}`)) {
+            socket.emit('game:error', { code: 'vote_in_progress' });
+            return;
+        }
+        
+        startVote(room, challenger, targetPlayer, category);
+    });
     
-    // Invalidate answer (during review) - HOST ONLY
-    socket.on('answer:invalidate', ({ targetPlayerId, category }) => {
+    // Vote on an open challenge - VOTE MODE
+    on('answer:vote', ({ targetPlayerId, category, agree }) => {
+        if (!currentRoomCode || !currentPlayerId) return;
+        
+        const room = rooms.get(currentRoomCode);
+        if (!room) return;
+        
+        const key = `${targetPlayerId}:${category}`;
+        const vote = room.gameState.votes.get(key);
+        if (!vote || !vote.eligible.has(currentPlayerId)) return;
+        
+        vote.ballots.set(currentPlayerId, !!agree);
+        tallyVote(room, key);
+    });
+    
+    // Split an answer out of its duplicate group (during review) - HOST ONLY
+    on('answer:split', ({ targetPlayerId, category }) => {
         if (!currentRoomCode || !currentPlayerId) return;
         
         const room = rooms.get(currentRoomCode);
         if (!room) return;
         
-        // Only host can invalidate answers
+        // Only host can split duplicate groups
         if (room.hostId !== currentPlayerId) return;
         
         const targetPlayer = room.players.get(targetPlayerId);
-        if (!targetPlayer) return;
+        if (!targetPlayer || !targetPlayer.categoryScores) return;
         
-        // Toggle validity
-        if (targetPlayer.categoryScores && targetPlayer.categoryScores[category]) {
-            const score = targetPlayer.categoryScores[category];
-            if (score.invalidatedBy) {
-                // Re-validate
-                delete score.invalidatedBy;
-                targetPlayer.roundScore += score.points;
-                targetPlayer.totalScore += score.points;
-            } else {
-                // Invalidate
-                score.invalidatedBy = currentPlayerId;
-                targetPlayer.roundScore -= score.points;
-                targetPlayer.totalScore -= score.points;
-            }
-            
-            io.to(currentRoomCode).emit('answer:toggled', {
-                targetPlayerId,
-                category,
-                categoryScores: targetPlayer.categoryScores,
-                roundScore: targetPlayer.roundScore,
-                totalScore: targetPlayer.totalScore
-            });
-        }
+        const score = targetPlayer.categoryScores[category];
+        if (!score || !score.groupedWith || score.groupedWith.length === 0) return;
+        
+        room.gameState.splitAnswers.add(`${targetPlayerId}:${category}`);
+        
+        io.to(currentRoomCode).emit('answers:regrouped', {
+            category,
+            players: rescoreCategory(room, category)
+        });
     });
     
     // Sync review navigation (HOST ONLY) - broadcasts to all players
-    socket.on('review:navigate', ({ playerIndex }) => {
+    on('review:navigate', ({ playerIndex }) => {
         if (!currentRoomCode || !currentPlayerId) return;
         
         const room = rooms.get(currentRoomCode);
@@ -781,74 +2590,86 @@ io.on('connection', (socket) => {
     });
     
     // Next round / End game
-    socket.on('game:nextRound', () => {
+    on('game:nextRound', () => {
         if (!currentRoomCode || !currentPlayerId) return;
         
         const room = rooms.get(currentRoomCode);
         if (!room || room.hostId !== currentPlayerId) return;
         
+        clearVotes(room);
+        
+        // The round's review is final once the host moves on
+        recordRoundStats(room);
+        gameHistory.recordRound(room.gameState.gameId, room);
+        
         if (room.gameState.currentRound >= room.settings.maxRounds) {
             // End game
-            room.gameState.phase = 'ended';
+            setPhase(room, 'ended');
             
             // Get final standings
-            const standings = Array.from(room.players.values())
-                .sort((a, b) => b.totalScore - a.totalScore)
-                .map((p, idx) => ({
-                    rank: idx + 1,
-                    id: p.id,
-                    nick: p.nick,
-                    avatarSeed: p.avatarSeed,
-                    totalScore: p.totalScore
-                }));
+            const finalPlayers = Array.from(room.players.values())
+                .sort((a, b) => b.totalScore - a.totalScore);
+            const standings = finalPlayers.map((p, idx) => ({
+                rank: idx + 1,
+                id: p.id,
+                nick: p.nick,
+                avatarSeed: p.avatarSeed,
+                totalScore: p.totalScore
+            }));
             
-            io.to(currentRoomCode).emit('game:ended', { standings });
+            // Feed the all-time profiles
+            profileRegistry.recordGame(finalPlayers.map((p, idx) => ({
+                ...standings[idx],
+                sessionId: p.sessionId,
+                stats: p.stats
+            })));
+            
+            const teamStandings = room.settings.teamMode
+                ? teams.buildTeamStandings(finalPlayers, room.settings.teamCount)
+                : null;
+            
+            gameHistory.finishGame(room.gameState.gameId, standings, teamStandings);
+            
+            io.to(currentRoomCode).emit('game:ended', { standings, teamStandings, gameId: room.gameState.gameId });
             
             // Reset to lobby after delay
-            setTimeout(() => {
-                room.gameState.phase = 'lobby';
-                room.gameState.currentRound = 0;
-                room.gameState.usedLetters.clear();
-                
-                room.players.forEach(player => {
-                    player.isReady = player.isHost;
-                    player.totalScore = 0;
-                    player.roundScore = 0;
-                    player.answers = {};
-                });
-                
-                io.to(currentRoomCode).emit('game:reset', getRoomData(room));
-            }, 10000);
+            room.gameState.endedAt = Date.now();
+            roomTimers.set(room.code, 'lobbyReset', GAME_END_RESET_MS, () => resetToLobby(room));
         } else {
             // Next round
-            room.gameState.phase = 'sticks';
+            setPhase(room, 'sticks');
             io.to(currentRoomCode).emit('phase:sticks');
+            if (room.gameState.autoPlay) armAutoDraw(room);
         }
     });
     
     // Return to lobby
-    socket.on('game:returnToLobby', () => {
+    on('game:returnToLobby', () => {
         if (!currentRoomCode || !currentPlayerId) return;
         
         const room = rooms.get(currentRoomCode);
         if (!room || room.hostId !== currentPlayerId) return;
         
-        room.gameState.phase = 'lobby';
-        room.gameState.currentRound = 0;
-        room.gameState.usedLetters.clear();
-        
-        room.players.forEach(player => {
-            player.isReady = player.isHost;
-            player.totalScore = 0;
-            player.roundScore = 0;
-            player.answers = {};
-        });
-        
-        io.to(currentRoomCode).emit('game:reset', getRoomData(room));
+        resetToLobby(room);
     });
     
     // Leave room
-    socket.on('room:leave', () => {
+    on('room:leave', () => {
+        if (currentRoomCode && currentSpectatorId) {
+            const room = rooms.get(currentRoomCode);
+            socket.leave(currentRoomCode);
+            if (room) {
+                room.spectators.delete(currentSpectatorId);
+                io.to(currentRoomCode).emit('room:update', getRoomData(room));
+            }
+            
+            socket.emit('room:left');
+            
+            currentSpectatorId = null;
+            currentRoomCode = null;
+            return;
+        }
+        
         if (!currentRoomCode || !currentPlayerId) return;
         
         const room = rooms.get(currentRoomCode);
@@ -866,15 +2687,18 @@ io.on('connection', (socket) => {
         socket.leave(currentRoomCode);
         
         // If host left, assign new host
-        if (room.hostId === currentPlayerId && room.players.size > 0) {
-            const newHost = room.players.values().next().value;
+        if (room.hostId === currentPlayerId && humanPlayers(room).length > 0) {
+            const newHost = humanPlayers(room)[0];
             newHost.isHost = true;
             room.hostId = newHost.id;
             io.to(currentRoomCode).emit('host:changed', { newHostId: newHost.id });
         }
         
         // If room is empty, delete it
-        if (room.players.size === 0) {
+        if (humanPlayers(room).length === 0) {
+            io.to(currentRoomCode).emit('room:closed');
+            clearVotes(room);
+            roomTimers.clearRoom(currentRoomCode);
             rooms.delete(currentRoomCode);
             console.log(`Room ${currentRoomCode} deleted (empty)`);
         } else {
@@ -892,7 +2716,7 @@ io.on('connection', (socket) => {
     });
     
     // Kick player (host only)
-    socket.on('player:kick', ({ targetPlayerId }) => {
+    on('player:kick', ({ targetPlayerId }) => {
         if (!currentRoomCode || !currentPlayerId) return;
         
         const room = rooms.get(currentRoomCode);
@@ -902,28 +2726,16 @@ io.on('connection', (socket) => {
         const targetPlayer = room.players.get(targetPlayerId);
         if (!targetPlayer) return;
         
-        // Remove session
-        if (targetPlayer.sessionId) {
-            playerSessions.delete(targetPlayer.sessionId);
-        }
-        
-        // Notify kicked player
-        if (targetPlayer.socketId) {
-            io.to(targetPlayer.socketId).emit('player:kicked');
-        }
-        
-        room.players.delete(targetPlayerId);
-        
-        io.to(currentRoomCode).emit('room:update', getRoomData(room));
-        io.to(currentRoomCode).emit('player:left', { 
-            playerId: targetPlayerId, 
-            nick: targetPlayer.nick,
-            kicked: true
-        });
+        kickPlayer(room, targetPlayer);
+    });
+    
+    // Own profile, looked up by the browser session
+    on('profile:get', ({ sessionId }) => {
+        socket.emit('profile:data', { profile: profileRegistry.getBySession(sessionId) });
     });
     
     // Chat message
-    socket.on('chat:message', ({ message }) => {
+    on('chat:message', ({ message }) => {
         if (!currentRoomCode || !currentPlayerId) return;
         
         const room = rooms.get(currentRoomCode);
@@ -932,22 +2744,74 @@ io.on('connection', (socket) => {
         const player = room.players.get(currentPlayerId);
         if (!player) return;
         
-        io.to(currentRoomCode).emit('chat:message', {
+        const entry = {
             playerId: currentPlayerId,
             nick: player.nick,
             avatarSeed: player.avatarSeed,
-            message: message.substring(0, 200), // Limit message length
+            message, // Already trimmed and length limited by the validator
             timestamp: Date.now()
-        });
+        };
+        
+        room.chat.push(entry);
+        if (room.chat.length > MAX_CHAT_HISTORY) {
+            room.chat.splice(0, room.chat.length - MAX_CHAT_HISTORY);
+        }
+        
+        io.to(currentRoomCode).emit('chat:message', entry);
+    });
+    
+    // Toggle an emoji reaction on an answer (during review)
+    on('answer:react', ({ targetPlayerId, category, emoji }) => {
+        if (!currentRoomCode || !currentPlayerId) return;
+        
+        const room = rooms.get(currentRoomCode);
+        if (!room) return;
+        
+        const targetPlayer = room.players.get(targetPlayerId);
+        if (!targetPlayer || !targetPlayer.categoryScores || !targetPlayer.categoryScores[category]) return;
+        
+        const key = `${targetPlayerId}:${category}`;
+        const reactions = room.gameState.reactions[key] || (room.gameState.reactions[key] = {});
+        const reactors = reactions[emoji] || [];
+        
+        // Same emoji twice takes the reaction back
+        reactions[emoji] = reactors.includes(currentPlayerId)
+            ? reactors.filter(id => id !== currentPlayerId)
+            : [...reactors, currentPlayerId];
+        if (reactions[emoji].length === 0) delete reactions[emoji];
+        
+        io.to(currentRoomCode).emit('answer:reactions', { targetPlayerId, category, reactions });
     });
     
     // Disconnect handling
     socket.on('disconnect', () => {
         console.log('Client disconnected:', socket.id);
         
+        leaveQueue();
+        
         if (currentRoomCode && currentPlayerId) {
             handlePlayerDisconnect(socket, currentPlayerId, currentRoomCode);
         }
+        
+        // Spectators have nothing to keep, so they just go away
+        if (currentRoomCode && currentSpectatorId) {
+            const room = rooms.get(currentRoomCode);
+            if (room && room.spectators.delete(currentSpectatorId)) {
+                io.to(currentRoomCode).emit('room:update', getRoomData(room));
+            }
+        }
+    });
+});
+
+// Restore the last snapshot and keep saving new ones
+loadState();
+setInterval(saveState, PERSIST_INTERVAL_MS).unref();
+setInterval(matchQueue, QUICK_PLAY_SWEEP_MS).unref();
+
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        saveState();
+        process.exit(0);
     });
 });
 
@@ -0,0 +1,8 @@
+// Builds public/css/tailwind.css with only the classes the pages use (npm run build:css)
+module.exports = {
+    content: ['./public/index.html', './admin/index.html'],
+    theme: {
+        extend: {}
+    },
+    plugins: []
+};